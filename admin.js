@@ -0,0 +1,270 @@
+// admin.js - Authenticated admin API
+import express from 'express';
+import dotenv from 'dotenv';
+import { getFeedbackSummary } from './feedback.js';
+import { EXPORT_FORMATS, getExportSort, writeExport } from './exporters.js';
+import { getUsageStats } from './analytics.js';
+import { getKnowledgeGapCollection, getKnowledgeGapReport } from './knowledge_gaps.js';
+import { tenantFilter, safeEqual } from './tenant_registry.js';
+
+dotenv.config();
+
+const MAX_PAGE_SIZE = 200;
+
+// Accept `Authorization: Bearer <ADMIN_TOKEN>` or Basic auth with ADMIN_USERNAME/ADMIN_PASSWORD.
+// With neither configured the admin API stays closed.
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!token && !(username && password)) {
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+
+  const [scheme, credentials] = (req.headers.authorization || '').split(' ');
+
+  if (token && scheme === 'Bearer' && credentials && safeEqual(credentials, token)) {
+    return next();
+  }
+
+  if (username && password && scheme === 'Basic' && credentials) {
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    // Check both parts so a wrong username takes as long as a wrong password
+    const userMatches = safeEqual(decoded.slice(0, separator), username);
+    const passwordMatches = safeEqual(decoded.slice(separator + 1), password);
+    if (separator !== -1 && userMatches && passwordMatches) {
+      return next();
+    }
+  }
+
+  res.setHeader('WWW-Authenticate', 'Basic realm="admin"');
+  return res.status(401).json({ error: 'Unauthorized' });
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Build a conversation filter from query parameters: from, to (ISO dates),
+// session_id, tenant, model (id or registry key) and q (text in the question or answer).
+// Returns `{ filter }` or `{ error }`.
+export function buildConversationFilter(params) {
+  const filter = {};
+
+  if (params.from || params.to) {
+    filter.timestamp = {};
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (!params[param]) {
+        continue;
+      }
+      const date = new Date(params[param]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: `Invalid date for ${param}` };
+      }
+      filter.timestamp[operator] = date;
+    }
+  }
+  if (params.session_id) {
+    filter.session_id = String(params.session_id);
+  }
+  if (params.tenant) {
+    Object.assign(filter, tenantFilter(String(params.tenant)));
+  }
+  if (params.model) {
+    filter.$or = [{ model: String(params.model) }, { model_key: String(params.model) }];
+  }
+  if (params.q) {
+    const pattern = { $regex: escapeRegex(String(params.q)), $options: 'i' };
+    const textMatch = { $or: [{ query: pattern }, { answer: pattern }] };
+    if (filter.$or) {
+      filter.$and = [{ $or: filter.$or }, textMatch];
+      delete filter.$or;
+    } else {
+      Object.assign(filter, textMatch);
+    }
+  }
+
+  return { filter };
+}
+
+// `getConversationCollection` returns the collection, or null while MongoDB is down.
+// `reload` rebuilds the LLM chain and resolves to the default model.
+export function createAdminRouter({ getConversationCollection, reload }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  // Every admin route below except reload needs MongoDB
+  const withCollection = (handler) => async (req, res) => {
+    const collection = getConversationCollection();
+    if (!collection) {
+      return res.status(500).send('MongoDB not connected');
+    }
+    return handler(req, res, collection);
+  };
+
+  // Filtered, paginated conversation listing, newest first
+  router.get('/conversations', withCollection(async (req, res, collection) => {
+    const { filter, error } = buildConversationFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+    try {
+      const [items, total] = await Promise.all([
+        collection.find(filter)
+          .sort({ timestamp: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray(),
+        collection.countDocuments(filter)
+      ]);
+      res.status(200).json({ items, page, limit, total });
+    } catch (error) {
+      console.error('Error listing conversations:', error);
+      res.status(500).send('Error listing conversations');
+    }
+  }));
+
+  // One session's questions and answers in order
+  router.get('/sessions/:sessionId', withCollection(async (req, res, collection) => {
+    try {
+      const messages = await collection.find({ session_id: req.params.sessionId })
+        .sort({ timestamp: 1 })
+        .toArray();
+      if (messages.length === 0) {
+        return res.status(404).json({ error: 'Unknown session' });
+      }
+      res.status(200).json({ session_id: req.params.sessionId, messages });
+    } catch (error) {
+      console.error('Error loading session transcript:', error);
+      res.status(500).send('Error loading session transcript');
+    }
+  }));
+
+  // Export streamed from a cursor, accepting the same filters as the listing plus
+  // `format`: csv (default), jsonl, json or markdown (transcripts grouped by session)
+  router.get('/export', withCollection(async (req, res, collection) => {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const { filter, error } = buildConversationFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const cursor = collection.find(filter).sort(getExportSort(format));
+    // Stop reading if the client goes away mid-download
+    const disconnected = new AbortController();
+    res.on('close', () => {
+      disconnected.abort();
+      cursor.close().catch(() => {});
+    });
+
+    try {
+      const { contentType, extension } = EXPORT_FORMATS[format];
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename=conversations.${extension}`);
+
+      await writeExport(cursor, format, res, { signal: disconnected.signal });
+      res.end();
+    } catch (error) {
+      if (disconnected.signal.aborted) {
+        return;
+      }
+      console.error('Error exporting conversations:', error);
+      if (!res.headersSent) {
+        res.status(500).send('Error exporting conversations');
+      } else {
+        res.destroy(error);
+      }
+    }
+  }));
+
+  router.get('/feedback/summary', withCollection(async (req, res, collection) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      res.status(200).json(await getFeedbackSummary(collection, { limit }));
+    } catch (error) {
+      console.error('Error summarizing feedback:', error);
+      res.status(500).send('Error summarizing feedback');
+    }
+  }));
+
+  // Volume, latency, refusal rate and token usage by day and model, plus the most
+  // frequent unanswered questions. Accepts `from` and `to` (default the last 30 days)
+  // and `tenant`.
+  router.get('/stats', withCollection(async (req, res, collection) => {
+    const options = req.query.tenant ? { tenant: String(req.query.tenant) } : {};
+    for (const param of ['from', 'to']) {
+      if (req.query[param]) {
+        options[param] = new Date(req.query[param]);
+        if (Number.isNaN(options[param].getTime())) {
+          return res.status(400).json({ error: `Invalid date for ${param}` });
+        }
+      }
+    }
+
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      res.status(200).json(await getUsageStats(collection, { ...options, limit }));
+    } catch (error) {
+      console.error('Error computing usage stats:', error);
+      res.status(500).send('Error computing usage stats');
+    }
+  }));
+
+  // Low-confidence questions clustered into topics, with the docs page each topic came
+  // closest to. Accepts `from`, `to`, `tenant`, `similarity` (clustering threshold) and `limit`.
+  router.get('/knowledge-gaps', async (req, res) => {
+    const collection = getKnowledgeGapCollection();
+    if (!collection) {
+      return res.status(500).send('MongoDB not connected');
+    }
+
+    const options = { limit: Math.min(parseInt(req.query.limit, 10) || 50, 200) };
+    if (req.query.tenant) {
+      options.tenant = String(req.query.tenant);
+    }
+    for (const param of ['from', 'to']) {
+      if (req.query[param]) {
+        options[param] = new Date(req.query[param]);
+        if (Number.isNaN(options[param].getTime())) {
+          return res.status(400).json({ error: `Invalid date for ${param}` });
+        }
+      }
+    }
+    if (req.query.similarity) {
+      options.threshold = parseFloat(req.query.similarity);
+      if (!(options.threshold > 0 && options.threshold <= 1)) {
+        return res.status(400).json({ error: 'similarity must be between 0 and 1' });
+      }
+    }
+
+    try {
+      res.status(200).json(await getKnowledgeGapReport(collection, options));
+    } catch (error) {
+      console.error('Error building knowledge gap report:', error);
+      res.status(500).send('Error building knowledge gap report');
+    }
+  });
+
+  // Rebuild the LLM chain from the current .env without restarting the server
+  router.post('/reload', async (req, res) => {
+    try {
+      const model = await reload();
+      res.status(200).json({ model });
+    } catch (error) {
+      console.error('Error reloading LLM chain:', error);
+      res.status(500).send('Error reloading LLM chain');
+    }
+  });
+
+  return router;
+}
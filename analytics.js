@@ -0,0 +1,163 @@
+// analytics.js - Usage statistics over the conversation log
+import { tenantFilter } from './tenant_registry.js';
+
+// Outcomes where the user got a canned reply instead of an answer
+export const REFUSAL_OUTCOMES = ['low_confidence', 'empty_kb', 'duplicate_refused'];
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// Totals reported for a range with no interactions
+const EMPTY_GROUP = { count: 0, answered: 0, cacheHits: 0, refusals: 0, errors: 0, blocked: 0, tokens: 0 };
+
+// Reported latency percentiles
+const PERCENTILES = { latencyP50: 0.5, latencyP95: 0.95 };
+
+const isOutcome = (outcomes) => ({ $cond: [{ $in: ['$outcome', outcomes] }, 1, 0] });
+
+// Counters for a $group stage
+function groupStage(id) {
+  return {
+    $group: {
+      _id: id,
+      count: { $sum: 1 },
+      answered: { $sum: isOutcome(['answered']) },
+      cacheHits: { $sum: isOutcome(['cache_hit']) },
+      refusals: { $sum: isOutcome(REFUSAL_OUTCOMES) },
+      errors: { $sum: isOutcome(['error']) },
+      blocked: { $sum: isOutcome(['blocked']) },
+      tokens: { $sum: { $ifNull: ['$usage.total', 0] } }
+    }
+  };
+}
+
+// Nearest-rank latency percentiles for each group `id` (an expression, or null for
+// one group over everything), as a Map from the group's JSON `_id` to `{ latencyP50, latencyP95 }`.
+// A window stage ranks each group's latencies and only the documents at the
+// percentile ranks are kept, so no list of every latency is collected. Needs MongoDB 5.0 or later.
+async function getLatencyPercentiles(collection, match, id) {
+  const rankAt = (p) => ({ $max: [1, { $ceil: { $multiply: [p, '$total'] } }] });
+  const percentiles = await collection.aggregate([
+    { $match: { ...match, latency_ms: { $type: 'number' } } },
+    { $set: { statsGroup: id } },
+    {
+      $setWindowFields: {
+        partitionBy: '$statsGroup',
+        sortBy: { latency_ms: 1 },
+        output: {
+          rank: { $documentNumber: {} },
+          total: { $count: {}, window: { documents: ['unbounded', 'unbounded'] } }
+        }
+      }
+    },
+    { $match: { $expr: { $in: ['$rank', Object.values(PERCENTILES).map(rankAt)] } } },
+    {
+      $group: {
+        _id: '$statsGroup',
+        ...Object.fromEntries(Object.entries(PERCENTILES).map(([name, p]) => [
+          name,
+          { $max: { $cond: [{ $eq: ['$rank', rankAt(p)] }, '$latency_ms', null] } }
+        ]))
+      }
+    }
+  ], { allowDiskUse: true }).toArray();
+
+  return new Map(percentiles.map(({ _id, ...values }) => [JSON.stringify(_id), values]));
+}
+
+function summarizeGroup(group, { latencyP50 = null, latencyP95 = null } = {}) {
+  return {
+    count: group.count,
+    answered: group.answered,
+    cacheHits: group.cacheHits,
+    refusals: group.refusals,
+    errors: group.errors,
+    blocked: group.blocked,
+    refusalRate: group.count > 0 ? group.refusals / group.count : 0,
+    latencyP50,
+    latencyP95,
+    tokens: group.tokens
+  };
+}
+
+// Aggregate interactions between `from` and `to` (Dates, default the last 30 days)
+// by day and model and by prompt version, plus the most frequent questions that got a refusal.
+// `tenant` limits the stats to one tenant's conversations.
+export async function getUsageStats(collection, { from, to, tenant, limit = 20 } = {}) {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  const match = { timestamp: { $gte: start, $lte: end }, ...(tenant ? tenantFilter(tenant) : {}) };
+  const dayAndModel = {
+    day: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+    model: { $ifNull: ['$model', 'none'] }
+  };
+
+  const groups = await collection.aggregate([
+    { $match: match },
+    groupStage(dayAndModel),
+    { $sort: { '_id.day': 1, '_id.model': 1 } }
+  ]).toArray();
+
+  // Overall percentiles can't be derived from the per-group ones, so they get their own pass
+  const [overall] = await collection.aggregate([
+    { $match: match },
+    groupStage(null)
+  ]).toArray();
+
+  const latencies = await getLatencyPercentiles(collection, match, dayAndModel);
+  const overallLatency = await getLatencyPercentiles(collection, match, null);
+
+  const promptVersions = await collection.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $ifNull: ['$prompt_version', 'none'] },
+        count: { $sum: 1 },
+        refusals: { $sum: isOutcome(REFUSAL_OUTCOMES) },
+        feedbackUp: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'up'] }, 1, 0] } },
+        feedbackDown: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'down'] }, 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]).toArray();
+
+  const unanswered = await collection.aggregate([
+    { $match: { ...match, outcome: { $in: REFUSAL_OUTCOMES } } },
+    {
+      $group: {
+        _id: { $toLower: { $trim: { input: '$query' } } },
+        question: { $first: '$query' },
+        count: { $sum: 1 },
+        outcomes: { $addToSet: '$outcome' },
+        bestScore: { $max: '$top_score' },
+        lastAsked: { $max: '$timestamp' }
+      }
+    },
+    { $sort: { count: -1, lastAsked: -1 } },
+    { $limit: limit }
+  ]).toArray();
+
+  return {
+    from: start,
+    to: end,
+    overall: summarizeGroup(overall || EMPTY_GROUP, overallLatency.get('null')),
+    byDayAndModel: groups.map(group => ({
+      day: group._id.day,
+      model: group._id.model,
+      ...summarizeGroup(group, latencies.get(JSON.stringify(group._id)))
+    })),
+    byPromptVersion: promptVersions.map(group => ({
+      promptVersion: group._id,
+      count: group.count,
+      refusalRate: group.count > 0 ? group.refusals / group.count : 0,
+      feedbackUp: group.feedbackUp,
+      feedbackDown: group.feedbackDown
+    })),
+    topUnanswered: unanswered.map(entry => ({
+      question: entry.question,
+      count: entry.count,
+      outcomes: entry.outcomes,
+      bestScore: entry.bestScore ?? null,
+      lastAsked: entry.lastAsked
+    }))
+  };
+}
@@ -0,0 +1,144 @@
+// answer_cache.js
+import dotenv from 'dotenv';
+import { cosineSimilarity } from './vector_math.js';
+import { tenantFilter } from './tenant_registry.js';
+
+dotenv.config();
+
+// How close a question must be to an earlier one to count as a repeat
+const THRESHOLD = parseFloat(process.env.DUPLICATE_QUESTION_THRESHOLD || '0.85');
+// `serve` replies with the earlier answer, `refuse` with a canned message, `off` disables the check
+const MODE = process.env.DUPLICATE_QUESTION_MODE || 'serve';
+// `session` only matches this session's questions, `global` matches every session's.
+// `refuse` mode always matches within the session: only the asker's own repeats are refused.
+const SCOPE = process.env.DUPLICATE_QUESTION_SCOPE || 'session';
+// Recent answers kept in process memory for matching across sessions
+const SCAN_LIMIT = parseInt(process.env.ANSWER_CACHE_SCAN_LIMIT || '500', 10);
+// A session's own answers read back from MongoDB per question
+const SESSION_SCAN_LIMIT = 50;
+// Cached answers older than this are removed by MongoDB
+const TTL_SECONDS = parseInt(process.env.ANSWER_CACHE_TTL_SECONDS || String(30 * 24 * 60 * 60), 10);
+
+let cacheCollection = null;
+
+// Most recent answers, newest last. Matching across sessions scans this index rather
+// than reading embeddings back from MongoDB on every question; it also stands in
+// for MongoDB when that is unavailable.
+let recentEntries = [];
+
+export function getDuplicateQuestionMode() {
+  return MODE;
+}
+
+function matchesOwnSessionOnly() {
+  return SCOPE === 'session' || MODE === 'refuse';
+}
+
+// Attach the answer cache to the conversation database, or fall back to memory
+// with `null` while MongoDB is unavailable
+export async function initAnswerCache(db) {
+  cacheCollection = db ? db.collection('answer_cache') : null;
+  if (!cacheCollection) {
+    return;
+  }
+
+  try {
+    await cacheCollection.createIndex({ session_id: 1, timestamp: -1 });
+    await cacheCollection.createIndex({ timestamp: 1 }, { expireAfterSeconds: TTL_SECONDS });
+  } catch (error) {
+    console.error(`Failed to create answer cache indexes: ${error}`);
+  }
+
+  // Answers from before a restart (or from other instances, as of now) can be matched too
+  if (MODE !== 'off' && !matchesOwnSessionOnly()) {
+    try {
+      const entries = await cacheCollection.find({}).sort({ timestamp: -1 }).limit(SCAN_LIMIT).toArray();
+      // Answers given while MongoDB was down were never stored there; keep them too
+      const unsaved = recentEntries.filter(entry => !entry._id);
+      recentEntries = [...entries.reverse(), ...unsaved].slice(-SCAN_LIMIT);
+    } catch (error) {
+      console.error(`Failed to load cached answers: ${error}`);
+    }
+  }
+}
+
+// Answers are only matched within the tenant they were given for, and with the
+// model and prompt version the question would be answered with
+async function getCandidates({ sessionId, tenantId, modelKey, promptVersion }) {
+  const ownSessionOnly = matchesOwnSessionOnly();
+
+  if (ownSessionOnly && cacheCollection) {
+    // Read from MongoDB so a session that reconnects to another instance keeps its answers
+    const filter = {
+      ...tenantFilter(tenantId),
+      session_id: sessionId,
+      model_key: modelKey,
+      prompt_version: promptVersion
+    };
+    return cacheCollection.find(filter).sort({ timestamp: -1 }).limit(SESSION_SCAN_LIMIT).toArray();
+  }
+
+  return recentEntries.filter(entry => entry.tenant === tenantId
+    && entry.model_key === modelKey
+    && entry.prompt_version === promptVersion
+    && (!ownSessionOnly || entry.session_id === sessionId));
+}
+
+// Find the closest earlier answer to a (standalone) question embedding, or null when
+// nothing clears the threshold. Matches from the same session win ties.
+export async function findSimilarAnswer(embedding, { sessionId, tenantId, modelKey, promptVersion }) {
+  if (MODE === 'off') {
+    return null;
+  }
+
+  let best = null;
+  for (const entry of await getCandidates({ sessionId, tenantId, modelKey, promptVersion })) {
+    if (!entry.embedding || entry.embedding.length !== embedding.length) {
+      continue;
+    }
+
+    const similarity = cosineSimilarity(embedding, entry.embedding);
+    const isBetter = !best
+      || similarity > best.similarity
+      || (similarity === best.similarity && entry.session_id === sessionId);
+
+    if (similarity >= THRESHOLD && isBetter) {
+      best = { entry, similarity };
+    }
+  }
+
+  return best;
+}
+
+// Store an answered question so later repeats can be served from the cache.
+// `modelKey` is the registry model that was asked for, which may differ from the
+// `model` that answered after a fallback.
+export async function rememberAnswer({ tenant, sessionId, question, embedding, answer, sources, model, modelKey, promptVersion }) {
+  if (MODE === 'off') {
+    return;
+  }
+
+  const entry = {
+    tenant,
+    session_id: sessionId,
+    question,
+    embedding,
+    answer,
+    sources,
+    model,
+    model_key: modelKey,
+    prompt_version: promptVersion,
+    timestamp: new Date()
+  };
+
+  recentEntries = [...recentEntries, entry].slice(-SCAN_LIMIT);
+  if (!cacheCollection) {
+    return;
+  }
+
+  try {
+    await cacheCollection.insertOne(entry);
+  } catch (error) {
+    console.error('Error storing answer in cache:', error);
+  }
+}
@@ -3,18 +3,29 @@ import express from 'express';
 import http from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
-import { rateLimit } from 'express-rate-limit';
 import { MongoClient } from 'mongodb';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import { createWriteStream } from 'fs';
-import { stringify } from 'csv-stringify';
+import { readFileSync } from 'fs';
 import sanitizeHtml from 'sanitize-html'; // equivalent to bleach
-import fetch from 'node-fetch';
-import { getResponse, getCurrentModel } from './llm_query.js';
+import { getResponse, initLlm, reloadLlm, isLlmReady, checkLlmHealth } from './llm_query.js';
+import { isSelectableModel, listSelectableModels } from './model_registry.js';
+import { assignPromptVariant } from './prompt_registry.js';
+import { initAnswerCache } from './answer_cache.js';
+import { initKnowledgeGaps } from './knowledge_gaps.js';
+import { validateFeedback, recordFeedback, isPlainObject } from './feedback.js';
+import { createAdminRouter } from './admin.js';
+import { createHealthRouter } from './health.js';
+import { loadNotifiers, notify } from './notifier.js';
+import { redact } from './redaction.js';
+import { initRateLimitStore, checkRateLimit, getClientIp } from './rate_limiter.js';
+import { initSessionStore, getSessionStore } from './session_store.js';
+import { initSocketAdapter } from './socket_adapter.js';
 import { ChromaDB } from './db_singleton.js';
+import { listTenants, getTenant, resolveTenant, isOriginAllowed, isOriginAllowedByAnyTenant } from './tenant_registry.js';
+import { initChatHistoryStore, getSessionTranscript, clearSessionHistory } from './chat_history.js';
 
 // Load environment variables
 dotenv.config();
@@ -24,28 +35,50 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Environment variables
-const SLACK_HOOK = process.env.SLACK_HOOK;
-const FILE_PASSWORD = process.env.FILE_PASSWORD;
 const MONGO_CONVERSATION_DB = process.env.MONGO_CONVERSATION_DB || 'ai_conversations';
 const APOS_MONGODB_URI = process.env.APOS_MONGODB_URI || 'mongodb://localhost:27017';
+const RECONNECT_INTERVAL_MS = parseInt(process.env.RECONNECT_INTERVAL_MS || '30000', 10);
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '30000', 10);
 
 // Initialize Express app and socket.io
 const app = express();
 const server = http.createServer(app);
+// Origins are checked against every tenant's corsOrigins here, and against the
+// selected tenant's once it is known
+const corsOrigin = (origin, callback) => callback(null, isOriginAllowedByAnyTenant(origin));
 const io = new Server(server, {
   cors: {
-    origin: '*',
+    origin: corsOrigin,
     methods: ['GET', 'POST']
   }
 });
 
 // Apply middleware
-app.use(cors());
+app.use(cors({ origin: corsOrigin }));
 app.use(express.json());
 
 // Initialize MongoDB connection
 let mongoClient;
 let conversationCollection;
+let cacheHitCollection;
+
+// Point every module that keeps MongoDB collections back at its in-memory fallback,
+// so questions are still answered while the client is dropped rather than failing
+// on its closed collections
+const useMemoryFallbacks = async () => {
+  conversationCollection = null;
+  cacheHitCollection = null;
+  await initChatHistoryStore(null);
+  await initAnswerCache(null);
+  await initKnowledgeGaps(null);
+  await initRateLimitStore(null);
+  await initSessionStore(null);
+  try {
+    await initSocketAdapter(io, null);
+  } catch (error) {
+    console.error(`Failed to restore the in-memory Socket.IO adapter: ${error}`);
+  }
+};
 
 const connectToMongo = async () => {
   try {
@@ -55,65 +88,191 @@ const connectToMongo = async () => {
     
     const db = mongoClient.db(MONGO_CONVERSATION_DB);
     conversationCollection = db.collection('conversations');
+    cacheHitCollection = db.collection('cache_hits');
+    await conversationCollection.createIndex({ message_id: 1 });
+    await initChatHistoryStore(db);
+    await initAnswerCache(db);
+    await initKnowledgeGaps(db);
+    await initRateLimitStore(db);
+    await initSessionStore(db);
+    // Re-created on every reconnection so the adapter doesn't hold a closed client
+    try {
+      await initSocketAdapter(io, db);
+    } catch (error) {
+      console.error(`Failed to set up the Socket.IO adapter, using the in-memory adapter: ${error}`);
+    }
   } catch (error) {
     console.error(`Failed to connect to MongoDB. Error: ${error}`);
+    // Drop the half-open client so the reconnection loop starts over
+    await useMemoryFallbacks();
+    await mongoClient?.close().catch(() => {});
+    mongoClient = null;
   }
 };
 
-// Initialize the rate limiter
-const limiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 2, // 2 requests per minute
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-// Initialize ChromaDB instance
-let chromaInstance;
-let retriever;
+// Each tenant's ChromaDB instance by tenant id, as `{ chroma, healthy }`, where
+// `healthy` is the last result of the health check run by the reconnection loop
+const vectorStores = new Map();
 
+// Set up the vector store of every tenant that doesn't have one yet, or whose
+// collection, default URL or memory docs changed on reload
 const initChroma = async () => {
-  try {
-    chromaInstance = await ChromaDB.getInstance();
-    retriever = chromaInstance.retriever;
-    console.log('ChromaDB initialized successfully');
-  } catch (error) {
-    console.error(`Failed to initialize ChromaDB: ${error}`);
+  const tenants = listTenants();
+  for (const tenantId of vectorStores.keys()) {
+    if (!tenants.some(tenant => tenant.id === tenantId)) {
+      vectorStores.delete(tenantId);
+    }
+  }
+  
+  for (const tenant of tenants) {
+    if (vectorStores.get(tenant.id)?.chroma.instanceKey === ChromaDB.instanceKey(tenant)) {
+      continue;
+    }
+    try {
+      const chroma = await ChromaDB.getInstance(tenant);
+      vectorStores.set(tenant.id, { chroma, healthy: true });
+      console.log(`ChromaDB initialized successfully for tenant ${tenant.id} (collection ${tenant.collection})`);
+    } catch (error) {
+      console.error(`Failed to initialize ChromaDB for tenant ${tenant.id}: ${error}`);
+    }
   }
 };
 
-// Session storage (in-memory for simplicity, could be moved to Redis for production)
-const sessions = {};
+const initChain = async () => {
+  for (const tenant of listTenants()) {
+    // Chains hold the retriever, so they wait until Chroma is up
+    const store = vectorStores.get(tenant.id);
+    if (!store || isLlmReady(tenant.id)) continue;
+    try {
+      await initLlm(store.chroma.retriever, tenant);
+    } catch (error) {
+      console.error(`Failed to initialize LLM chain for tenant ${tenant.id}: ${error}`);
+    }
+  }
+};
 
-// Helper functions
-const logToSlack = async (sessionId, question, answer, modelName) => {
-  const logToSlackEnabled = process.env.LOG_TO_SLACK === 'true';
-  console.log(`Slack logging enabled: ${logToSlackEnabled} at ${SLACK_HOOK}`);
-  
-  if (logToSlackEnabled && SLACK_HOOK) {
-    const slackData = {
-      text: `User session ID: ${sessionId}\nTime: ${new Date().toISOString()}\nModel: ${modelName}\nQuestion: ${question}\nAnswer: ${answer}`
-    };
+const pingMongo = async () => {
+  if (!mongoClient) {
+    throw new Error('MongoDB not connected');
+  }
+  await mongoClient.db(MONGO_CONVERSATION_DB).command({ ping: 1 });
+};
 
-    try {
-      const response = await fetch(SLACK_HOOK, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(slackData)
-      });
+// Reconnect whatever failed at startup or dropped since. Mongo gets a fresh client;
+// Chroma goes through ChromaDB.refreshConnection(), which re-initializes the
+// vector store when its collection can't be reached. Runs every RECONNECT_INTERVAL_MS.
+let reconnecting = false;
+let reconnectTimer;
 
-      if (response.status !== 200) {
-        throw new Error(`Request to slack returned an error ${response.status}, the response is: ${await response.text()}`);
-      }
+const reconnectDependencies = async () => {
+  if (reconnecting) return;
+  reconnecting = true;
+  
+  try {
+    try {
+      await pingMongo();
     } catch (error) {
-      console.error('Error sending to Slack:', error);
+      console.log(`Reconnecting to MongoDB: ${error.message}`);
+      await useMemoryFallbacks();
+      await mongoClient?.close().catch(() => {});
+      mongoClient = null;
+      await connectToMongo();
+    }
+    
+    await initChroma();
+    for (const store of vectorStores.values()) {
+      try {
+        await store.chroma.refreshConnection();
+      } catch (error) {
+        console.error(`Failed to refresh ChromaDB connection: ${error}`);
+      }
+      store.healthy = (await store.chroma.healthCheck()).healthy;
     }
-  } else {
-    console.log(`Slack logging disabled with model ${modelName}.`);
+    
+    await initChain();
+  } finally {
+    reconnecting = false;
   }
 };
 
-const logToMongo = async (sessionId, question, answer, modelName) => {
+// Readiness checks for /readyz, each resolving to extra details or throwing
+const healthChecks = {
+  mongo: async () => {
+    await pingMongo();
+    return { count: await conversationCollection.estimatedDocumentCount() };
+  },
+  // Every tenant's collection; `count` is the total across collections
+  chroma: async () => {
+    const collections = {};
+    const failures = [];
+    for (const tenant of listTenants()) {
+      const store = vectorStores.get(tenant.id);
+      if (!store) {
+        failures.push(`${tenant.id}: ChromaDB not initialized`);
+        continue;
+      }
+      if (store.chroma.collectionName in collections) {
+        continue;
+      }
+      const { healthy, count, message } = await store.chroma.healthCheck();
+      if (!healthy) {
+        failures.push(`${tenant.id}: ${message}`);
+        continue;
+      }
+      collections[store.chroma.collectionName] = count;
+    }
+    if (failures.length > 0) {
+      throw new Error(failures.join('; '));
+    }
+    const count = Object.values(collections).reduce((total, value) => total + value, 0);
+    return { count, collections };
+  },
+  llm: checkLlmHealth
+};
+
+// Why a tenant's questions can't be answered right now, or null. MongoDB isn't
+// required: while it's down, chat history, the answer cache, rate limits and session
+// locks fall back to memory (see useMemoryFallbacks) and logging is skipped.
+const unavailableDependency = (tenant) => {
+  const store = vectorStores.get(tenant.id);
+  if (!store || !store.healthy) return 'chroma';
+  if (!isLlmReady(tenant.id)) return 'llm';
+  return null;
+};
+
+const serviceDegradedError = (dependency) => ({
+  code: 'service_degraded',
+  message: 'The assistant is temporarily unavailable. Please try again shortly.',
+  dependency
+});
+
+const shuttingDownError = {
+  code: 'shutting_down',
+  message: 'The server is restarting. Please try again in a moment.'
+};
+
+const sessionBusyError = {
+  code: 'session_busy',
+  message: 'Please wait for the current response.'
+};
+
+// Each socket's query is aborted through its controller here; the lock that keeps a
+// user session to one question at a time lives in the session store (see
+// session_store.js) so instances can share it. Chat history is persisted by chat_history.js.
+const abortControllers = new Map();
+
+// Queries being answered, as `{ promise, abortController }`, so shutdown can wait for them
+const inFlightQueries = new Set();
+let shuttingDown = false;
+
+const trackQuery = (abortController, promise) => {
+  const entry = { promise, abortController };
+  inFlightQueries.add(entry);
+  return promise.finally(() => inFlightQueries.delete(entry));
+};
+
+// Helper functions
+const logToMongo = async (sessionId, question, answer, modelName, details = {}) => {
   if (!conversationCollection) return;
   
   const conversationData = {
@@ -121,6 +280,7 @@ const logToMongo = async (sessionId, question, answer, modelName) => {
     query: question,
     answer: answer,
     model: modelName,
+    ...details,
     timestamp: new Date()
   };
   
@@ -131,6 +291,191 @@ const logToMongo = async (sessionId, question, answer, modelName) => {
   }
 };
 
+// Cache hits are also logged on their own so they can be reviewed apart from new answers
+const logCacheHit = async (tenant, sessionId, question, cacheHit) => {
+  if (!cacheHitCollection) return;
+  
+  try {
+    await cacheHitCollection.insertOne({
+      tenant: tenant.id,
+      session_id: sessionId,
+      query: question,
+      cached_id: cacheHit.id,
+      cached_question: cacheHit.question,
+      cached_session_id: cacheHit.session_id,
+      similarity: cacheHit.similarity,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error logging cache hit to MongoDB:', error);
+  }
+};
+
+// The session's prompt version, or null while the prompt registry can't be loaded
+const promptVersionFor = (sessionId, tenant) => {
+  try {
+    return assignPromptVariant(sessionId, tenant.promptsPath).version;
+  } catch (error) {
+    return null;
+  }
+};
+
+const notifyFeedback = (sessionId, feedback, conversation) => {
+  notify({
+    type: 'feedback',
+    sessionId,
+    messageId: feedback.messageId,
+    rating: feedback.rating,
+    reason: feedback.reason,
+    comment: feedback.comment,
+    question: conversation.query,
+    answer: conversation.answer
+  });
+};
+
+// Check a query payload from either API. Returns the question, sanitized and with
+// secrets and personal data masked before it reaches the LLM or any log, as
+// `{ query, redactions }`, or `{ error }`.
+const validateQuery = (data) => {
+  if (!isPlainObject(data)) {
+    return { error: 'payload must be an object' };
+  }
+  if (typeof data.query !== 'string' || !data.query.trim()) {
+    return { error: 'query is required' };
+  }
+  // Clients may pick a model, but only from the registry's selectable models
+  if (data.model && !isSelectableModel(data.model)) {
+    return { error: `Unknown model: ${data.model}` };
+  }
+  
+  const { text: query, counts: redactions } = redact(sanitizeHtml(data.query));
+  return { query, redactions };
+};
+
+const rateLimitError = (limited) => ({
+  code: 'rate_limited',
+  message: 'Too many questions. Please try again later.',
+  scope: limited.scope,
+  retry_after: limited.retryAfter
+});
+
+// Answer a validated question for a tenant and log it; shared by the Socket.IO and
+// HTTP APIs. `onAnswer` receives `{ messageId, answer, outcome, sources, cached, blocked, model }`
+// once the interaction is logged, and the same object is resolved. Failures and
+// cancellations (via `signal`) are logged and then rethrown.
+const answerQuery = async ({ tenant, sessionId, query, redactions, model, signal, onChunk, onAnswer }) => {
+  // Stable id clients use to send feedback on this answer
+  const messageId = uuidv4();
+  const startedAt = Date.now();
+  
+  console.log(`Message: ${query}, Session ID: ${sessionId}, Tenant: ${tenant.id}`);
+  
+  let response;
+  try {
+    const { retriever } = vectorStores.get(tenant.id).chroma;
+    response = await getResponse(query, retriever, sessionId, { tenant, signal, modelKey: model, onChunk });
+  } catch (error) {
+    const cancelled = Boolean(signal?.aborted);
+    if (cancelled) {
+      console.log(`Query cancelled, Session ID: ${sessionId}`);
+    } else {
+      console.error('Error processing query:', error);
+      notify({
+        type: 'interaction',
+        tenant: tenant.id,
+        sessionId,
+        messageId,
+        question: query,
+        answer: '',
+        model: null,
+        outcome: 'error',
+        error: String(error)
+      });
+    }
+    
+    // Failed queries are logged too so volume and error rates add up
+    await logToMongo(sessionId, query, '', null, {
+      tenant: tenant.id,
+      message_id: messageId,
+      outcome: cancelled ? 'cancelled' : 'error',
+      latency_ms: Date.now() - startedAt,
+      redactions,
+      prompt_version: promptVersionFor(sessionId, tenant),
+      ...(cancelled ? {} : { error: String(error) })
+    });
+    throw error;
+  }
+  
+  const latencyMs = Date.now() - startedAt;
+  const { answer, outcome, sources, cacheHit, guard } = response;
+  const result = {
+    messageId,
+    answer,
+    outcome,
+    sources,
+    cached: Boolean(cacheHit),
+    blocked: guard?.reason || null,
+    model: response.model
+  };
+  
+  // Log the response
+  notify({
+    type: 'interaction',
+    tenant: tenant.id,
+    sessionId,
+    messageId,
+    question: query,
+    answer,
+    model: response.model,
+    outcome,
+    guardReason: guard?.reason || null
+  });
+  await logToMongo(sessionId, query, answer, response.model, {
+    tenant: tenant.id,
+    message_id: messageId,
+    outcome,
+    latency_ms: latencyMs,
+    top_score: response.topScore,
+    top_keyword_score: response.topKeywordScore,
+    usage: response.usage,
+    redactions,
+    sources,
+    retrieval_mode: response.retrievalMode,
+    model_key: response.modelKey,
+    fallback_used: response.fallbackUsed,
+    cache_hit: cacheHit,
+    prompt_version: response.promptVersion,
+    ...(guard ? { guard_verdict: guard.verdict, guard_reason: guard.reason, guard_via: guard.via } : {})
+  });
+  // Only hand out the message_id once its record exists, so feedback sent right away finds it
+  onAnswer?.(result);
+  if (cacheHit) {
+    await logCacheHit(tenant, sessionId, query, cacheHit);
+  }
+  
+  return result;
+};
+
+// Select the socket's tenant from the `tenant` handshake query parameter and the API
+// key sent as `auth.api_key` or an `X-API-Key` header. Refused connections get a
+// `connect_error` with the reason.
+io.use((socket, next) => {
+  const { handshake } = socket;
+  const { tenant, error } = resolveTenant({
+    tenantId: handshake.query.tenant ? String(handshake.query.tenant) : null,
+    apiKey: handshake.auth?.api_key || handshake.headers['x-api-key']
+  });
+  if (error) {
+    return next(new Error(error));
+  }
+  if (!isOriginAllowed(tenant, handshake.headers.origin)) {
+    return next(new Error(`Origin not allowed for tenant ${tenant.id}`));
+  }
+  
+  socket.data.tenantId = tenant.id;
+  next();
+});
+
 // Socket.io event handlers
 io.on('connection', (socket) => {
   let userSessionId = socket.handshake.query.user_session_id;
@@ -139,54 +484,158 @@ io.on('connection', (socket) => {
     userSessionId = uuidv4();
   }
   
-  sessions[socket.id] = {
-    userSessionId,
-    requestInProgress: false
-  };
+  const ip = getClientIp(socket.handshake.address, socket.handshake.headers);
   
   socket.emit('session_id', { user_session_id: userSessionId });
   
-  socket.on('query', async (data) => {
-    if (sessions[socket.id].requestInProgress) {
-      socket.emit('error', { message: 'Please wait for the current response.' });
+  // A reconnecting widget gets its earlier messages back so it can pick up where it left off
+  if (socket.handshake.query.user_session_id) {
+    getSessionTranscript(userSessionId, socket.data.tenantId)
+      .then((messages) => {
+        if (messages.length > 0) {
+          socket.emit('history', { messages });
+        }
+      })
+      .catch(error => console.error('Error loading session history:', error));
+  }
+  
+  socket.on('query', async (data = {}) => {
+    if (shuttingDown) {
+      socket.emit('error', shuttingDownError);
+      return;
+    }
+    
+    const { query, redactions, error } = validateQuery(data);
+    if (error) {
+      socket.emit('error', { message: error });
+      return;
+    }
+    // Looked up per query so a reload's tenant changes apply to open sockets
+    const tenant = getTenant(socket.data.tenantId);
+    if (!tenant) {
+      socket.emit('error', { message: `Unknown tenant: ${socket.data.tenantId}` });
+      return;
+    }
+    const unavailable = unavailableDependency(tenant);
+    if (unavailable) {
+      socket.emit('error', serviceDegradedError(unavailable));
       return;
     }
     
-    sessions[socket.id].requestInProgress = true;
+    // Locked before the limit check so a burst can't slip past the lock. The lock is
+    // per user session, so a second tab or a reconnect to another instance waits too.
+    const sessionStore = getSessionStore();
+    let lockToken;
+    try {
+      lockToken = await sessionStore.acquire(userSessionId);
+    } catch (error) {
+      console.error('Error locking session:', error);
+      socket.emit('error', { message: 'An error occurred while processing your query.' });
+      return;
+    }
+    if (!lockToken) {
+      socket.emit('error', sessionBusyError);
+      return;
+    }
+    const release = () => sessionStore.release(userSessionId, lockToken)
+      .catch(error => console.error('Error unlocking session:', error));
     
-    const sessionId = sessions[socket.id].userSessionId;
-    const query = sanitizeHtml(data.query);
-    const index = data.index;
+    const limited = await checkRateLimit({ ip, sessionId: userSessionId });
+    if (limited) {
+      await release();
+      socket.emit('error', rateLimitError(limited));
+      return;
+    }
+    // The client may have disconnected while the limit was checked
+    if (!socket.connected) {
+      await release();
+      return;
+    }
     
-    console.log(`Message: ${query}, Session ID: ${sessionId}`);
+    const abortController = new AbortController();
+    abortControllers.set(socket.id, abortController);
+    
+    const index = data.index;
+    // Older widget builds don't send `stream` and expect a single `answer` event
+    const stream = data.stream === true;
     
     try {
-      // Get the response
-      const response = await getResponse(query, retriever, sessionId);
-      const modelName = getCurrentModel();
-      
-      // Send the response
-      socket.emit('answer', { text: response, index });
-      
-      // Log the response
-      await logToSlack(sessionId, query, response, modelName);
-      await logToMongo(sessionId, query, response, modelName);
+      await trackQuery(abortController, answerQuery({
+        tenant,
+        sessionId: userSessionId,
+        query,
+        redactions,
+        model: data.model,
+        signal: abortController.signal,
+        // Forward tokens as they arrive when streaming
+        onChunk: stream ? (text) => socket.emit('answer_chunk', { text, index }) : undefined,
+        onAnswer: ({ messageId, answer, sources, cached, blocked }) => {
+          if (stream) {
+            socket.emit('answer_end', { index, message_id: messageId, cancelled: false, sources, cached, blocked });
+          } else {
+            socket.emit('answer', { text: answer, index, message_id: messageId, sources, cached, blocked });
+          }
+        }
+      }));
     } catch (error) {
-      console.error('Error processing query:', error);
-      socket.emit('error', { message: 'An error occurred while processing your query.' });
+      if (abortController.signal.aborted) {
+        socket.emit('answer_end', { index, cancelled: true });
+      } else {
+        socket.emit('error', { message: 'An error occurred while processing your query.' });
+      }
     } finally {
-      sessions[socket.id].requestInProgress = false;
+      abortControllers.delete(socket.id);
+      await release();
     }
   });
   
-  socket.on('clear_session', () => {
-    delete sessions[socket.id];
-    console.log('Session cleared.');
+  socket.on('feedback', async (data) => {
+    if (!isPlainObject(data)) {
+      socket.emit('error', { message: 'feedback must be an object' });
+      return;
+    }
+    const { feedback, error } = validateFeedback(data);
+    if (error) {
+      socket.emit('error', { message: error });
+      return;
+    }
+    if (!conversationCollection) {
+      socket.emit('error', { message: 'Feedback is unavailable right now.' });
+      return;
+    }
+    
+    try {
+      const conversation = await recordFeedback(conversationCollection, userSessionId, feedback);
+      if (conversation) {
+        notifyFeedback(userSessionId, feedback, conversation);
+        socket.emit('feedback_saved', { message_id: feedback.messageId });
+      } else {
+        socket.emit('error', { message: 'Unknown message_id.' });
+      }
+    } catch (error) {
+      console.error('Error saving feedback:', error);
+      socket.emit('error', { message: 'An error occurred while saving your feedback.' });
+    }
+  });
+  
+  socket.on('cancel_query', () => {
+    abortControllers.get(socket.id)?.abort();
+  });
+  
+  socket.on('clear_session', async () => {
+    abortControllers.get(socket.id)?.abort();
+    
+    try {
+      await clearSessionHistory(userSessionId, socket.data.tenantId);
+      console.log('Session cleared.');
+    } catch (error) {
+      console.error('Error clearing session history:', error);
+    }
     socket.disconnect(true);
   });
   
   socket.on('disconnect', () => {
-    delete sessions[socket.id];
+    abortControllers.get(socket.id)?.abort();
   });
 });
 
@@ -195,63 +644,268 @@ app.get('/', (req, res) => {
   res.status(200).send('OK');
 });
 
-app.get('/export_conversations', async (req, res) => {
-  // Check the password from the query parameter
-  const password = req.query.password;
-  if (password !== FILE_PASSWORD) {
-    return res.status(403).send('Forbidden');
+// Feedback from clients that don't use Socket.IO; same payload as the `feedback` event plus `session_id`
+app.post('/feedback', async (req, res) => {
+  const { feedback, error } = validateFeedback(req.body);
+  if (error || !req.body.session_id) {
+    return res.status(400).json({ error: error || 'session_id is required' });
   }
-
   if (!conversationCollection) {
     return res.status(500).send('MongoDB not connected');
   }
 
   try {
-    // Query the MongoDB collection for all conversations
-    const conversations = await conversationCollection.find({}).toArray();
-    
-    // Create a CSV string
-    const csvStream = stringify({ header: true, columns: [
-      'session_id', 'query', 'answer', 'model', 'timestamp'
-    ]});
-    
-    // Write header
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', 'attachment; filename=conversations.csv');
-    
-    // Pipe the CSV data to the response
-    csvStream.pipe(res);
-    
-    // Write the data
-    for (const conversation of conversations) {
-      csvStream.write([
-        conversation.session_id || '',
-        conversation.query || '',
-        conversation.answer || '',
-        conversation.model || 'gpt-4o',
-        conversation.timestamp ? conversation.timestamp.toISOString() : ''
-      ]);
+    const conversation = await recordFeedback(conversationCollection, req.body.session_id, feedback);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Unknown message_id' });
     }
-    
-    csvStream.end();
+    notifyFeedback(req.body.session_id, feedback, conversation);
+    res.status(200).json({ message_id: feedback.messageId });
+  } catch (error) {
+    console.error('Error saving feedback:', error);
+    res.status(500).send('Error saving feedback');
+  }
+});
+
+// Liveness and readiness probes, see health.js
+app.use(createHealthRouter(healthChecks, { isDraining: () => shuttingDown }));
+
+// The tenant of an HTTP request, from `tenantId` and an `X-API-Key` header, checked
+// against the request's origin. Returns `{ tenant }` or `{ error, status }`.
+const resolveRequestTenant = (req, tenantId) => {
+  const resolved = resolveTenant({
+    tenantId: tenantId ? String(tenantId) : null,
+    apiKey: req.headers['x-api-key']
+  });
+  if (resolved.tenant && !isOriginAllowed(resolved.tenant, req.headers.origin)) {
+    return { error: `Origin not allowed for tenant ${resolved.tenant.id}`, status: 403 };
+  }
+  return resolved;
+};
+
+// Models a client may request with the `query` event; `default` marks the
+// default model of the tenant selected by `?tenant=` or an API key
+app.get('/models', (req, res) => {
+  const { tenant, error, status } = resolveRequestTenant(req, req.query.tenant);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+  
+  const models = listSelectableModels();
+  res.status(200).json({
+    models: tenant.model ? models.map(entry => ({ ...entry, default: entry.key === tenant.model })) : models
+  });
+});
+
+// Ask a question over HTTP (`{ tenant, session_id, query, model, stream }`), sharing validation,
+// rate limiting and logging with the `query` event. With `stream: true` or
+// `Accept: text/event-stream` the answer is sent as Server-Sent Events. See openapi.json.
+app.post('/api/chat', async (req, res) => {
+  if (shuttingDown) {
+    const { message, ...details } = shuttingDownError;
+    return res.status(503).json({ error: message, ...details });
+  }
+  
+  const body = req.body || {};
+  const { query, redactions, error } = validateQuery(body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (body.session_id !== undefined && (typeof body.session_id !== 'string' || !body.session_id)) {
+    return res.status(400).json({ error: 'session_id must be a non-empty string' });
+  }
+  const { tenant, error: tenantError, status } = resolveRequestTenant(req, body.tenant);
+  if (tenantError) {
+    return res.status(status).json({ error: tenantError });
+  }
+  const unavailable = unavailableDependency(tenant);
+  if (unavailable) {
+    const { message, ...details } = serviceDegradedError(unavailable);
+    return res.status(503).json({ error: message, ...details });
+  }
+  
+  const sessionId = body.session_id || uuidv4();
+  // Same per-session lock as the `query` event, so a session answers one question at
+  // a time whichever API asks it
+  const sessionStore = getSessionStore();
+  let lockToken;
+  try {
+    lockToken = await sessionStore.acquire(sessionId);
   } catch (error) {
-    console.error('Error exporting conversations:', error);
-    res.status(500).send('Error exporting conversations');
+    console.error('Error locking session:', error);
+    return res.status(500).json({ error: 'An error occurred while processing your query.' });
+  }
+  if (!lockToken) {
+    const { message, ...details } = sessionBusyError;
+    return res.status(409).json({ error: message, ...details });
+  }
+  const release = () => sessionStore.release(sessionId, lockToken)
+    .catch(error => console.error('Error unlocking session:', error));
+  
+  const limited = await checkRateLimit({ ip: getClientIp(req.socket.remoteAddress, req.headers), sessionId });
+  if (limited) {
+    await release();
+    const { message, ...details } = rateLimitError(limited);
+    res.setHeader('Retry-After', String(limited.retryAfter));
+    return res.status(429).json({ error: message, ...details });
+  }
+  
+  // Stop generating if the client goes away before the answer is complete
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+  
+  const stream = body.stream === true || (req.headers.accept || '').includes('text/event-stream');
+  const toResponse = ({ messageId, answer, outcome, sources, cached, blocked, model }) => ({
+    session_id: sessionId,
+    message_id: messageId,
+    answer,
+    outcome,
+    sources,
+    cached,
+    blocked,
+    model
+  });
+  const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  
+  if (stream) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+  }
+  
+  try {
+    await trackQuery(abortController, answerQuery({
+      tenant,
+      sessionId,
+      query,
+      redactions,
+      model: body.model,
+      signal: abortController.signal,
+      onChunk: stream ? (text) => sendEvent('chunk', { text }) : undefined,
+      onAnswer: (result) => {
+        if (stream) {
+          sendEvent('end', toResponse(result));
+          res.end();
+        } else {
+          res.status(200).json(toResponse(result));
+        }
+      }
+    }));
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      return;
+    }
+    const message = 'An error occurred while processing your query.';
+    if (stream) {
+      sendEvent('error', { message });
+      res.end();
+    } else {
+      res.status(500).json({ error: message });
+    }
+  } finally {
+    await release();
   }
 });
 
+// OpenAPI description of the HTTP chat API
+const openApiDocument = JSON.parse(readFileSync(path.join(__dirname, 'openapi.json'), 'utf8'));
+app.get('/api/openapi.json', (req, res) => {
+  res.status(200).json(openApiDocument);
+});
+
+// Admin API (conversation listing, transcripts, exports, reload), see admin.js
+app.use('/admin', createAdminRouter({
+  getConversationCollection: () => conversationCollection,
+  reload: async () => {
+    const model = await reloadLlm();
+    // Picks up tenants added or moved to another collection
+    await initChroma();
+    loadNotifiers();
+    return model;
+  }
+}));
+
 // Initialize and start the server
 const PORT = process.env.PORT || 3000;
 
 const startServer = async () => {
+  try {
+    loadNotifiers();
+  } catch (error) {
+    console.error(`Failed to load notifiers: ${error}`);
+  }
   await connectToMongo();
   await initChroma();
+  await initChain();
+  
+  reconnectTimer = setInterval(() => {
+    reconnectDependencies().catch(error => console.error(`Reconnection failed: ${error}`));
+  }, RECONNECT_INTERVAL_MS);
+  reconnectTimer.unref();
   
   server.listen(PORT, '0.0.0.0', () => {
     console.log(`Server running on port ${PORT}`);
   });
 };
 
+// Resolves true if `promise` settled within `ms`, false on timeout
+const settlesWithin = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), ms);
+  });
+  return Promise.race([promise.then(() => true, () => true), timeout])
+    .finally(() => clearTimeout(timer));
+};
+
+// Graceful shutdown: stop taking questions, give in-flight answers up to
+// SHUTDOWN_TIMEOUT_MS to finish (then cancel them), disconnect sockets so clients
+// reconnect to another instance, and close MongoDB. A second signal exits at once.
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    console.log(`Received ${signal} again, exiting now`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`Received ${signal}, draining ${inFlightQueries.size} in-flight queries`);
+  clearInterval(reconnectTimer);
+  
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+  const drained = await settlesWithin(
+    Promise.allSettled([...inFlightQueries].map(entry => entry.promise)),
+    SHUTDOWN_TIMEOUT_MS
+  );
+  if (!drained) {
+    console.log(`Cancelling ${inFlightQueries.size} queries still running after ${SHUTDOWN_TIMEOUT_MS}ms`);
+    for (const { abortController } of inFlightQueries) {
+      abortController.abort();
+    }
+    // Cancelled queries are still logged before they settle
+    await settlesWithin(Promise.allSettled([...inFlightQueries].map(entry => entry.promise)), 5000);
+  }
+  
+  // Disconnects every socket and stops the HTTP server
+  const closed = new Promise(resolve => io.close(resolve));
+  await settlesWithin(closed, Math.max(deadline - Date.now(), 1000));
+  
+  try {
+    await mongoClient?.close();
+  } catch (error) {
+    console.error(`Error closing MongoDB: ${error}`);
+  }
+  console.log('Shutdown complete');
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 startServer().catch(console.error);
 
 export default app;
\ No newline at end of file
@@ -0,0 +1,139 @@
+// chat_history.js
+import { BaseListChatMessageHistory, InMemoryChatMessageHistory } from '@langchain/core/chat_history';
+import {
+  mapChatMessagesToStoredMessages,
+  mapStoredMessagesToChatMessages
+} from '@langchain/core/messages';
+import dotenv from 'dotenv';
+import { getTenantRegistry } from './tenant_registry.js';
+
+dotenv.config();
+
+// How much history is kept per session and fed back to the model
+const MAX_TURNS = parseInt(process.env.CHAT_HISTORY_MAX_TURNS || '10', 10);
+const MAX_TOKENS = parseInt(process.env.CHAT_HISTORY_MAX_TOKENS || '4000', 10);
+// Sessions idle for longer than this are removed by MongoDB
+const TTL_SECONDS = parseInt(process.env.CHAT_HISTORY_TTL_SECONDS || String(7 * 24 * 60 * 60), 10);
+
+let historyCollection = null;
+
+// Fallback store used only when MongoDB is unavailable
+const memoryHistories = {};
+
+// Rough token estimate; good enough to keep the prompt within budget
+function estimateTokens(message) {
+  const content = typeof message.content === 'string'
+    ? message.content
+    : JSON.stringify(message.content);
+  return Math.ceil(content.length / 4);
+}
+
+// Keep the most recent messages that fit in the turn and token window,
+// never starting the window on an AI message
+function applyWindow(messages) {
+  let windowed = messages.slice(-MAX_TURNS * 2);
+  let tokens = windowed.reduce((total, message) => total + estimateTokens(message), 0);
+
+  while (windowed.length > 0 && tokens > MAX_TOKENS) {
+    tokens -= estimateTokens(windowed[0]);
+    windowed = windowed.slice(1);
+  }
+  while (windowed.length > 0 && windowed[0]._getType() !== 'human') {
+    windowed = windowed.slice(1);
+  }
+
+  return windowed;
+}
+
+export class MongoChatMessageHistory extends BaseListChatMessageHistory {
+  lc_namespace = ['apos_chatbot', 'stores', 'message', 'mongodb'];
+
+  constructor(collection, sessionId) {
+    super();
+    this.collection = collection;
+    this.sessionId = sessionId;
+  }
+
+  async getMessages() {
+    const record = await this.collection.findOne({ _id: this.sessionId });
+    if (!record || !record.messages) {
+      return [];
+    }
+    return applyWindow(mapStoredMessagesToChatMessages(record.messages));
+  }
+
+  async addMessage(message) {
+    await this.addMessages([message]);
+  }
+
+  async addMessages(messages) {
+    // Stored history is capped at the turn window; the token window is applied on read
+    await this.collection.updateOne(
+      { _id: this.sessionId },
+      {
+        $push: {
+          messages: {
+            $each: mapChatMessagesToStoredMessages(messages),
+            $slice: -MAX_TURNS * 2
+          }
+        },
+        $set: { updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+  }
+
+  async clear() {
+    await this.collection.deleteOne({ _id: this.sessionId });
+  }
+}
+
+// Attach the history store to the conversation database, or fall back to memory
+// with `null` while MongoDB is unavailable
+export async function initChatHistoryStore(db) {
+  historyCollection = db ? db.collection('chat_histories') : null;
+  if (!historyCollection) {
+    return;
+  }
+
+  try {
+    await historyCollection.createIndex({ updatedAt: 1 }, { expireAfterSeconds: TTL_SECONDS });
+  } catch (error) {
+    console.error(`Failed to create chat history TTL index: ${error}`);
+  }
+}
+
+// The id a session's history is stored under for a tenant, so a `user_session_id`
+// reused on another tenant starts a new conversation. The default tenant keeps the
+// bare session id, which is how history was stored before tenants existed.
+export function historySessionId(sessionId, tenantId = getTenantRegistry().defaultId) {
+  return tenantId === getTenantRegistry().defaultId ? sessionId : `${tenantId}:${sessionId}`;
+}
+
+// Retrieve or initialize chat history for a session, by its historySessionId()
+export function getSessionHistory(sessionId) {
+  if (historyCollection) {
+    return new MongoChatMessageHistory(historyCollection, sessionId);
+  }
+
+  if (!memoryHistories[sessionId]) {
+    memoryHistories[sessionId] = new InMemoryChatMessageHistory();
+  }
+  return memoryHistories[sessionId];
+}
+
+// Messages for a reconnecting widget to render, oldest first
+export async function getSessionTranscript(sessionId, tenantId) {
+  const messages = await getSessionHistory(historySessionId(sessionId, tenantId)).getMessages();
+  return messages.map(message => ({
+    role: message._getType(),
+    content: message.content
+  }));
+}
+
+export async function clearSessionHistory(sessionId, tenantId) {
+  const historyId = historySessionId(sessionId, tenantId);
+  await getSessionHistory(historyId).clear();
+  delete memoryHistories[historyId];
+}
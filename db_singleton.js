@@ -1,25 +1,66 @@
 // db_singleton.js
 import { ChromaClient } from 'chromadb';
-import { OpenAIEmbeddings } from '@langchain/openai';
 import { Chroma } from '@langchain/community/vectorstores/chroma';
+import { MemoryVectorStore } from 'langchain/vectorstores/memory';
+import { Document } from '@langchain/core/documents';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
+import { createEmbeddings } from './providers.js';
+import { LRUCache } from './lru_cache.js';
+import { HybridRetriever } from './hybrid_retriever.js';
+import { cosineSimilarity } from './vector_math.js';
+import { getDefaultTenant } from './tenant_registry.js';
 
 dotenv.config();
 
 export class ChromaDB {
-  static _instance = null;
+  // One instance per collection and document settings (see instanceKey), so tenants
+  // sharing a collection share its cache
+  static _instances = new Map();
   db = null;
   retriever = null;
-  _embeddingCache = {}; // Cache for embeddings to reduce API calls
+  embeddings = null;
+  // Bounded cache of query embeddings to reduce API calls
+  _embeddingCache = new LRUCache(parseInt(process.env.EMBEDDING_CACHE_SIZE || '500', 10));
+  // Distance function of the Chroma collection, used to turn distances into similarities
+  _distanceSpace = 'cosine';
+  // VECTOR_STORE=memory loads documents from a JSON file instead of Chroma (for offline use)
+  _useMemoryStore = process.env.VECTOR_STORE === 'memory';
+  _memoryDocumentCount = 0;
 
-  static async getInstance() {
-    if (!ChromaDB._instance) {
-      ChromaDB._instance = new ChromaDB();
-      await ChromaDB._instance._initialize();
+  // `collection` names the Chroma collection, `defaultUrl` is given to documents
+  // without one, and `memoryDocsPath` replaces MEMORY_DOCS_PATH for the memory store
+  constructor({ collection, defaultUrl, memoryDocsPath }) {
+    this.collectionName = collection;
+    this._defaultUrl = defaultUrl;
+    this._memoryDocsPath = memoryDocsPath;
+    this.instanceKey = ChromaDB.instanceKey({ collection, defaultUrl, memoryDocsPath });
+  }
+
+  // Tenants share an instance only when everything it is built from matches; two
+  // tenants on the same collection with different default URLs get their own
+  static instanceKey({ collection, defaultUrl, memoryDocsPath }) {
+    return JSON.stringify([collection, defaultUrl || null, memoryDocsPath || null]);
+  }
+
+  // The instance for a tenant's collection (see tenant_registry.js), the default
+  // tenant's when none is given. Callers share one pending initialization; if it
+  // fails, the next call tries again.
+  static async getInstance(tenant = getDefaultTenant()) {
+    const key = ChromaDB.instanceKey(tenant);
+    if (!ChromaDB._instances.has(key)) {
+      const pending = (async () => {
+        const instance = new ChromaDB(tenant);
+        await instance._initialize();
+        return instance;
+      })();
+      ChromaDB._instances.set(key, pending);
+      pending.catch(() => {
+        ChromaDB._instances.delete(key);
+      });
     }
-    return ChromaDB._instance;
+    return ChromaDB._instances.get(key);
   }
 
   async _initialize() {
@@ -28,11 +69,16 @@ export class ChromaDB {
 
     while (retryCount < maxRetries) {
       try {
-        // Initialize embeddings - use text-embedding-3-small to match original implementation
-        const embeddings = new OpenAIEmbeddings({ 
-          model: "text-embedding-3-small",
-          disallowedSpecial: [] // equivalent to disallowed_special=()
-        });
+        // Initialize embeddings - text-embedding-3-small by default to match original implementation
+        const embeddings = createEmbeddings();
+        this.embeddings = embeddings;
+
+        if (this._useMemoryStore) {
+          this.db = await this._loadMemoryStore(embeddings);
+          this._setupRetriever();
+          console.log(`Memory vectorstore initialized with ${this._memoryDocumentCount} documents`);
+          return;
+        }
 
         // Define the path to your Chroma database
         const chromaDirectory = process.env.CHROMA_PATH || "./chroma_db/";
@@ -44,17 +90,14 @@ export class ChromaDB {
 
         // Initialize Chroma with the embeddings
         this.db = await Chroma.fromExistingCollection(
-          { collectionName: "langchain" },
+          { collectionName: this.collectionName },
           embeddings,
           { collectionMetadata: { "hnsw:space": "cosine" } },
           chromaDirectory
         );
 
-        // Create a standard similarity retriever with parameters closer to DeepLake
-        this.retriever = this.db.asRetriever({
-          searchType: "similarity",
-          k: 6
-        });
+        // Create the retriever; plain similarity with k=6 by default, closer to DeepLake
+        this._setupRetriever();
 
         // Print Chroma collection stats
         try {
@@ -62,11 +105,13 @@ export class ChromaDB {
           
           // Equivalent to db._collection.count() in Python
           const client = new ChromaClient();
-          const collection = await client.getCollection({ name: "langchain" });
+          const collection = await client.getCollection({ name: this.collectionName });
           const count = await collection.count();
+          this._distanceSpace = collection.metadata?.["hnsw:space"] || "l2";
           
           console.log(`Chroma collection count: ${count}`);
-          console.log(`Chroma collection name: langchain`);
+          console.log(`Chroma collection distance: ${this._distanceSpace}`);
+          console.log(`Chroma collection name: ${this.collectionName}`);
         } catch (e) {
           console.error(`Error getting Chroma stats: ${e}`);
         }
@@ -87,11 +132,47 @@ export class ChromaDB {
     }
   }
 
+  // The retriever is kept across reconnections since chains already hold it;
+  // its keyword index is rebuilt from the new connection
+  _setupRetriever() {
+    if (this.retriever) {
+      this.retriever.invalidateIndex();
+    } else {
+      this.retriever = new HybridRetriever(this);
+    }
+  }
+
+  // Documents are a JSON array of { pageContent, metadata } read from the tenant's
+  // memory docs file, MEMORY_DOCS_PATH by default
+  async _loadMemoryStore(embeddings) {
+    const docsPath = path.resolve(this._memoryDocsPath || process.env.MEMORY_DOCS_PATH || './memory_docs.json');
+    const records = fs.existsSync(docsPath)
+      ? JSON.parse(fs.readFileSync(docsPath, 'utf8'))
+      : [];
+
+    if (records.length === 0) {
+      console.log(`No documents found at ${docsPath}, memory vectorstore is empty`);
+    }
+
+    const documents = records.map(record => new Document({
+      pageContent: record.pageContent,
+      metadata: record.metadata || {}
+    }));
+    this._memoryDocumentCount = documents.length;
+    // Fix metadata up front: the store hands out shared metadata objects, so fixing
+    // at query time would set the URL without stripping it from later copies
+    return MemoryVectorStore.fromDocuments(this.fixDocumentMetadata(documents), embeddings);
+  }
+
   async refreshConnection() {
+    if (this._useMemoryStore) {
+      return;
+    }
+
     try {
       // Test connection by attempting to access the collection
       const client = new ChromaClient();
-      const collection = await client.getCollection({ name: "langchain" });
+      const collection = await client.getCollection({ name: this.collectionName });
       await collection.count();
     } catch (e) {
       console.log(`Refreshing Chroma connection due to: ${e}`);
@@ -100,21 +181,92 @@ export class ChromaDB {
   }
 
   async getCachedEmbedding(text, embeddingModel = null) {
-    if (!this._embeddingCache[text]) {
+    if (!this._embeddingCache.has(text)) {
       if (!embeddingModel) {
-        embeddingModel = new OpenAIEmbeddings({ 
-          model: "text-embedding-3-small",
-          disallowedSpecial: []
-        });
+        embeddingModel = this.embeddings || createEmbeddings();
+      }
+      this._embeddingCache.set(text, await embeddingModel.embedQuery(text));
+    }
+    return this._embeddingCache.get(text);
+  }
+
+  // Convert a Chroma distance into a cosine-style similarity (higher is better).
+  // l2 assumes normalized embeddings (as OpenAI's are), where l2² = 2 - 2·cos.
+  _toSimilarity(score) {
+    if (this._distanceSpace === 'l2') {
+      return 1 - score / 2;
+    }
+    return 1 - score;
+  }
+
+  // Search with the cached query embedding, returning { doc, score, embedding } with
+  // score as a similarity and the stored vector of each document (used for MMR)
+  async vectorSearch(query, k = 6) {
+    const embedding = await this.getCachedEmbedding(query);
+    let results;
+
+    if (this._useMemoryStore) {
+      results = this.db.memoryVectors
+        .map(vector => ({
+          doc: new Document({ pageContent: vector.content, metadata: { ...vector.metadata } }),
+          score: cosineSimilarity(embedding, vector.embedding),
+          embedding: vector.embedding
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+    } else {
+      const collection = await this.db.ensureCollection();
+      const response = await collection.query({
+        queryEmbeddings: [embedding],
+        nResults: k,
+        include: ['documents', 'metadatas', 'distances', 'embeddings']
+      });
+      results = (response.ids[0] || []).map((id, i) => ({
+        doc: new Document({
+          pageContent: response.documents[0][i] || '',
+          metadata: { ...(response.metadatas[0][i] || {}) }
+        }),
+        score: this._toSimilarity(response.distances[0][i]),
+        embedding: response.embeddings?.[0]?.[i] || null
+      }));
+    }
+
+    this.fixDocumentMetadata(results.map(result => result.doc));
+    return results;
+  }
+
+  // Every document in the store, e.g. to build a keyword index
+  async getAllDocuments() {
+    let documents;
+
+    if (this._useMemoryStore) {
+      documents = this.db.memoryVectors.map(vector => new Document({
+        pageContent: vector.content,
+        metadata: { ...vector.metadata }
+      }));
+    } else {
+      const collection = await this.db.ensureCollection();
+      const pageSize = 1000;
+      documents = [];
+
+      for (let offset = 0; ; offset += pageSize) {
+        const page = await collection.get({ include: ['documents', 'metadatas'], limit: pageSize, offset });
+        page.ids.forEach((id, i) => documents.push(new Document({
+          pageContent: page.documents[i] || '',
+          metadata: { ...(page.metadatas[i] || {}) }
+        })));
+        if (page.ids.length < pageSize) {
+          break;
+        }
       }
-      this._embeddingCache[text] = await embeddingModel.embedQuery(text);
     }
-    return this._embeddingCache[text];
+
+    return this.fixDocumentMetadata(documents);
   }
 
   clearEmbeddingCache() {
-    const cacheSize = Object.keys(this._embeddingCache).length;
-    this._embeddingCache = {};
+    const cacheSize = this._embeddingCache.size;
+    this._embeddingCache.clear();
     console.log(`Cleared embedding cache (${cacheSize} entries)`);
   }
 
@@ -157,23 +309,29 @@ export class ChromaDB {
         }
       }
 
-      // If still no URL, add a default one
+      // If still no URL, add the tenant's default one
       if (!doc.metadata.url) {
-        doc.metadata.url = 'https://docs.apostrophecms.org/';
+        doc.metadata.url = this._defaultUrl || 'https://docs.apostrophecms.org/';
       }
     }
 
     return documents;
   }
 
+  // Resolves to { healthy, count, message }
   async healthCheck() {
+    if (this._useMemoryStore) {
+      const count = this._memoryDocumentCount;
+      return { healthy: true, count, message: `Memory vectorstore is healthy. It contains ${count} documents.` };
+    }
+
     try {
       const client = new ChromaClient();
-      const collection = await client.getCollection({ name: "langchain" });
+      const collection = await client.getCollection({ name: this.collectionName });
       const count = await collection.count();
-      return [true, `ChromaDB is healthy. Collection contains ${count} documents.`];
+      return { healthy: true, count, message: `ChromaDB is healthy. Collection contains ${count} documents.` };
     } catch (e) {
-      return [false, `ChromaDB is unhealthy: ${e.toString()}`];
+      return { healthy: false, count: null, message: `ChromaDB is unhealthy: ${e.toString()}` };
     }
   }
 }
\ No newline at end of file
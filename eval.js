@@ -0,0 +1,250 @@
+// eval.js - Run a golden set of questions through retrieval and getResponse and score the results
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import dotenv from 'dotenv';
+import { ChromaDB } from './db_singleton.js';
+import { getResponse, getCurrentModel, initLlm } from './llm_query.js';
+import { clearSessionHistory } from './chat_history.js';
+import { REFUSAL_OUTCOMES } from './analytics.js';
+import { getTenant, getDefaultTenant } from './tenant_registry.js';
+
+dotenv.config();
+
+// Outcomes where the pipeline declined to answer
+const DECLINED_OUTCOMES = [...REFUSAL_OUTCOMES, 'blocked'];
+// Summary metrics where a higher value is better; refusal rate is the exception
+const SUMMARY_METRICS = ['recallAtK', 'mrr', 'keywordCoverage', 'refusalRate'];
+
+// Compare URLs without fragments, trailing slashes or case differences in the host
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.toString().replace(/\/$/, '');
+  } catch (error) {
+    return String(url).trim().replace(/#.*$/, '').replace(/\/$/, '');
+  }
+}
+
+// Read a golden set from YAML or JSON: a list of
+// `{ id, question, expected_urls, keywords }`, or `{ cases: [...] }`
+export function loadGoldenSet(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  const cases = Array.isArray(parsed) ? parsed : parsed?.cases;
+
+  if (!Array.isArray(cases) || cases.length === 0) {
+    throw new Error(`Golden set ${filePath} has no cases`);
+  }
+
+  return cases.map((entry, index) => {
+    if (!entry.question) {
+      throw new Error(`Golden set case ${index + 1} has no question`);
+    }
+    return {
+      id: String(entry.id ?? index + 1),
+      question: entry.question,
+      expectedUrls: (entry.expected_urls || []).map(normalizeUrl),
+      keywords: entry.keywords || []
+    };
+  });
+}
+
+const mean = values => (values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null);
+
+async function evaluateCase(testCase, retriever, tenant) {
+  // Retrieval is scored on the question as asked, before any answer is generated
+  const documents = await retriever.invoke(testCase.question);
+  const retrievedUrls = [...new Set(documents.map(doc => doc.metadata.url).filter(Boolean).map(normalizeUrl))];
+
+  let recall = null;
+  let reciprocalRank = null;
+  if (testCase.expectedUrls.length > 0) {
+    const found = testCase.expectedUrls.filter(url => retrievedUrls.includes(url));
+    recall = found.length / testCase.expectedUrls.length;
+    const firstRank = retrievedUrls.findIndex(url => testCase.expectedUrls.includes(url));
+    reciprocalRank = firstRank === -1 ? 0 : 1 / (firstRank + 1);
+  }
+
+  // The session id is fixed per case so weighted prompt variants assign each case the
+  // same prompt on every run; its history is cleared so earlier answers can't leak in
+  const sessionId = `eval-${tenant.id}-${testCase.id}`;
+  await clearSessionHistory(sessionId, tenant.id);
+  const { answer, outcome, promptVersion } = await getResponse(testCase.question, retriever, sessionId, { tenant, answerCache: false });
+  const refused = DECLINED_OUTCOMES.includes(outcome);
+
+  const lowerAnswer = answer.toLowerCase();
+  const missingKeywords = testCase.keywords.filter(keyword => !lowerAnswer.includes(String(keyword).toLowerCase()));
+  const keywordCoverage = testCase.keywords.length > 0
+    ? (testCase.keywords.length - missingKeywords.length) / testCase.keywords.length
+    : null;
+
+  return {
+    id: testCase.id,
+    question: testCase.question,
+    outcome,
+    promptVersion,
+    refused,
+    recall,
+    reciprocalRank,
+    keywordCoverage,
+    missingKeywords,
+    retrievedUrls
+  };
+}
+
+// Run every case against a tenant's knowledge base (the default tenant's unless
+// given) and build the report
+export async function runEvaluation(cases, retriever, tenant = getDefaultTenant()) {
+  const results = [];
+  for (const testCase of cases) {
+    results.push(await evaluateCase(testCase, retriever, tenant));
+  }
+
+  const scored = key => results.map(result => result[key]).filter(value => value !== null);
+  return {
+    generatedAt: new Date().toISOString(),
+    config: {
+      tenant: tenant.id,
+      model: getCurrentModel(tenant),
+      retrievalMode: retriever.mode || 'similarity',
+      k: retriever.config?.k ?? null,
+      confidenceThreshold: parseFloat(process.env.CONFIDENCE_THRESHOLD || '0.7'),
+      keywordConfidenceThreshold: parseFloat(process.env.KEYWORD_CONFIDENCE_THRESHOLD || '0.6'),
+      keywordMinIdf: retriever.config?.keywordMinIdf ?? null,
+      promptVariant: process.env.PROMPT_VARIANT || null
+    },
+    summary: {
+      cases: results.length,
+      recallAtK: mean(scored('recall')),
+      mrr: mean(scored('reciprocalRank')),
+      keywordCoverage: mean(scored('keywordCoverage')),
+      refusalRate: mean(results.map(result => (result.refused ? 1 : 0)))
+    },
+    cases: results
+  };
+}
+
+// Differences between a report and a baseline report. A regression is a lower
+// recall, MRR or keyword coverage, or a higher refusal rate.
+export function diffReports(report, baseline) {
+  const summary = {};
+  const regressions = [];
+
+  for (const metric of SUMMARY_METRICS) {
+    const current = report.summary[metric];
+    const previous = baseline.summary?.[metric];
+    if (current === null || previous === null || previous === undefined) {
+      continue;
+    }
+    const delta = current - previous;
+    summary[metric] = { baseline: previous, current, delta };
+    const worse = metric === 'refusalRate' ? delta > 1e-9 : delta < -1e-9;
+    if (worse) {
+      regressions.push(metric);
+    }
+  }
+
+  const baselineCases = new Map((baseline.cases || []).map(result => [result.id, result]));
+  const changedCases = [];
+  for (const result of report.cases) {
+    const previous = baselineCases.get(result.id);
+    if (!previous) {
+      changedCases.push({ id: result.id, change: 'new' });
+      continue;
+    }
+    const changes = {};
+    for (const key of ['recall', 'reciprocalRank', 'keywordCoverage', 'refused']) {
+      if (previous[key] !== result[key]) {
+        changes[key] = { baseline: previous[key], current: result[key] };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      changedCases.push({ id: result.id, question: result.question, changes });
+    }
+  }
+
+  return { summary, regressions, changedCases };
+}
+
+const formatMetric = value => (value === null || value === undefined ? 'n/a' : value.toFixed(3));
+
+function printReport(report, diff) {
+  const { summary, config } = report;
+  console.log(`Tenant ${config.tenant}, model ${config.model}, retrieval ${config.retrievalMode}, k=${config.k}, threshold ${config.confidenceThreshold}`);
+  console.log(`Cases:            ${summary.cases}`);
+  for (const metric of SUMMARY_METRICS) {
+    const change = diff?.summary[metric];
+    const delta = change ? ` (${change.delta >= 0 ? '+' : ''}${change.delta.toFixed(3)} vs baseline)` : '';
+    console.log(`${`${metric}:`.padEnd(18)}${formatMetric(summary[metric])}${delta}`);
+  }
+
+  if (diff) {
+    for (const changed of diff.changedCases) {
+      if (changed.change === 'new') {
+        console.log(`  [${changed.id}] not in baseline`);
+        continue;
+      }
+      const details = Object.entries(changed.changes)
+        .map(([key, { baseline, current }]) => `${key} ${baseline} -> ${current}`)
+        .join(', ');
+      console.log(`  [${changed.id}] ${details}`);
+    }
+    if (diff.regressions.length > 0) {
+      console.log(`Regressions: ${diff.regressions.join(', ')}`);
+    }
+  }
+}
+
+const isCli = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isCli) {
+  const { values } = parseArgs({
+    options: {
+      tenant: { type: 'string' },
+      golden: { type: 'string', default: './eval/golden.yaml' },
+      out: { type: 'string', default: './eval/reports/latest.json' },
+      baseline: { type: 'string', default: './eval/baseline.json' },
+      'save-baseline': { type: 'boolean', default: false },
+      'fail-on-regression': { type: 'boolean', default: false }
+    }
+  });
+
+  (async () => {
+    const tenant = values.tenant ? getTenant(values.tenant) : getDefaultTenant();
+    if (!tenant) {
+      throw new Error(`Unknown tenant: ${values.tenant}`);
+    }
+    const cases = loadGoldenSet(values.golden);
+    const chroma = await ChromaDB.getInstance(tenant);
+    await initLlm(chroma.retriever, tenant);
+
+    const report = await runEvaluation(cases, chroma.retriever, tenant);
+    const baseline = fs.existsSync(values.baseline)
+      ? JSON.parse(fs.readFileSync(values.baseline, 'utf8'))
+      : null;
+    const diff = baseline ? diffReports(report, baseline) : null;
+
+    printReport(report, diff);
+
+    fs.mkdirSync(path.dirname(path.resolve(values.out)), { recursive: true });
+    fs.writeFileSync(values.out, `${JSON.stringify({ ...report, diff }, null, 2)}\n`);
+    console.log(`Wrote report to ${values.out}`);
+
+    if (values['save-baseline']) {
+      fs.mkdirSync(path.dirname(path.resolve(values.baseline)), { recursive: true });
+      fs.writeFileSync(values.baseline, `${JSON.stringify(report, null, 2)}\n`);
+      console.log(`Saved baseline to ${values.baseline}`);
+    }
+
+    if (values['fail-on-regression'] && diff?.regressions.length > 0) {
+      process.exitCode = 1;
+    }
+  })().catch((error) => {
+    console.error(`Evaluation failed: ${error}`);
+    process.exitCode = 1;
+  });
+}
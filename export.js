@@ -0,0 +1,97 @@
+// export.js - Write conversation exports to disk
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { buildConversationFilter } from './admin.js';
+import {
+  EXPORT_FORMATS,
+  getExportSort,
+  groupBySession,
+  renderTranscript,
+  writeExport
+} from './exporters.js';
+
+dotenv.config();
+
+const MONGO_CONVERSATION_DB = process.env.MONGO_CONVERSATION_DB || 'ai_conversations';
+const APOS_MONGODB_URI = process.env.APOS_MONGODB_URI || 'mongodb://localhost:27017';
+
+// Session ids come from clients, so keep them from escaping the output directory.
+// A short hash of the raw id keeps ids that sanitize alike (`a/b`, `a_b`) apart.
+function transcriptFileName(sessionId) {
+  const raw = String(sessionId || 'unknown');
+  const suffix = crypto.createHash('sha256').update(raw).digest('hex').slice(0, 8);
+  return `${raw.replace(/[^\w.-]/g, '_')}-${suffix}.md`;
+}
+
+// Export conversations matching `filters` to `out`. Markdown writes one transcript
+// per session into the `out` directory; other formats write a single file.
+export async function exportConversations(collection, { format, out, filters = {} }) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const { filter, error } = buildConversationFilter(filters);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const cursor = collection.find(filter).sort(getExportSort(format));
+
+  if (format === 'markdown') {
+    fs.mkdirSync(out, { recursive: true });
+    let sessions = 0;
+    for await (const { sessionId, records } of groupBySession(cursor)) {
+      fs.writeFileSync(path.join(out, transcriptFileName(sessionId)), renderTranscript(sessionId, records));
+      sessions++;
+    }
+    console.log(`Wrote ${sessions} session transcripts to ${out}`);
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+  const output = fs.createWriteStream(out);
+  await writeExport(cursor, format, output);
+  output.end();
+  await once(output, 'finish');
+  console.log(`Wrote ${format} export to ${out}`);
+}
+
+const isCli = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isCli) {
+  const { values } = parseArgs({
+    options: {
+      format: { type: 'string', default: 'csv' },
+      out: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      session_id: { type: 'string' },
+      tenant: { type: 'string' },
+      model: { type: 'string' },
+      q: { type: 'string' }
+    }
+  });
+
+  const format = values.format;
+  const out = values.out || (format === 'markdown'
+    ? './exports/transcripts'
+    : `./exports/conversations.${EXPORT_FORMATS[format]?.extension || format}`);
+  const mongoClient = new MongoClient(APOS_MONGODB_URI);
+
+  mongoClient.connect()
+    .then(() => exportConversations(
+      mongoClient.db(MONGO_CONVERSATION_DB).collection('conversations'),
+      { format, out, filters: values }
+    ))
+    .catch((error) => {
+      console.error(`Export failed: ${error}`);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoClient.close());
+}
@@ -0,0 +1,157 @@
+// exporters.js - Conversation export formats shared by the admin API and the export CLI
+import { once } from 'events';
+import { stringify } from 'csv-stringify/sync';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl' },
+  json: { contentType: 'application/json', extension: 'json' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+};
+
+const CSV_COLUMNS = [
+  'session_id', 'query', 'answer', 'model', 'timestamp', 'sources',
+  'message_id', 'feedback_rating', 'feedback_reason', 'feedback_comment',
+  'outcome', 'latency_ms', 'prompt_version', 'tenant'
+];
+
+// Markdown transcripts are grouped by session, everything else is chronological
+export function getExportSort(format) {
+  return format === 'markdown' ? { session_id: 1, timestamp: 1 } : { timestamp: 1 };
+}
+
+// Normalize a conversation record for export; records from before a model was
+// logged are exported as "unknown"
+export function toExportRecord(conversation) {
+  return {
+    session_id: conversation.session_id || null,
+    message_id: conversation.message_id || null,
+    timestamp: conversation.timestamp ? conversation.timestamp.toISOString() : null,
+    query: conversation.query || '',
+    answer: conversation.answer || '',
+    model: conversation.model || 'unknown',
+    model_key: conversation.model_key || null,
+    outcome: conversation.outcome || null,
+    latency_ms: conversation.latency_ms ?? null,
+    prompt_version: conversation.prompt_version || null,
+    tenant: conversation.tenant || null,
+    sources: conversation.sources || [],
+    feedback: conversation.feedback
+      ? { ...conversation.feedback, timestamp: conversation.feedback.timestamp?.toISOString?.() || null }
+      : null
+  };
+}
+
+function toCsvRow(record) {
+  return [
+    record.session_id || '',
+    record.query,
+    record.answer,
+    record.model,
+    record.timestamp || '',
+    record.sources.map(source => source.url).join('\n'),
+    record.message_id || '',
+    record.feedback?.rating || '',
+    record.feedback?.reason || '',
+    record.feedback?.comment || '',
+    record.outcome || '',
+    record.latency_ms ?? '',
+    record.prompt_version || '',
+    record.tenant || ''
+  ];
+}
+
+// Render one session's conversations (already in order) as a Markdown transcript
+export function renderTranscript(sessionId, records) {
+  const lines = [
+    `# Session ${sessionId}`,
+    '',
+    `${records.length} question${records.length === 1 ? '' : 's'}, ${records[0].timestamp || 'unknown'} to ${records[records.length - 1].timestamp || 'unknown'}`,
+    ''
+  ];
+
+  records.forEach((record, i) => {
+    lines.push(`## Question ${i + 1}${record.timestamp ? ` (${record.timestamp})` : ''}`, '');
+    lines.push(`**User:** ${record.query}`, '');
+    lines.push(`**Assistant (${record.model}):**`, '', record.answer, '');
+
+    if (record.sources.length > 0) {
+      lines.push('**Sources:**', '');
+      for (const source of record.sources) {
+        lines.push(`- [${source.title || source.url}](${source.url})`);
+      }
+      lines.push('');
+    }
+
+    if (record.feedback) {
+      const reason = record.feedback.reason ? ` (${record.feedback.reason})` : '';
+      const comment = record.feedback.comment ? `: ${record.feedback.comment}` : '';
+      lines.push(`**Feedback:** ${record.feedback.rating}${reason}${comment}`, '');
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Yield `{ sessionId, records }` from a cursor sorted by session, one session at a time
+export async function* groupBySession(cursor) {
+  let sessionId;
+  let records = [];
+
+  for await (const conversation of cursor) {
+    const record = toExportRecord(conversation);
+    if (records.length > 0 && record.session_id !== sessionId) {
+      yield { sessionId, records };
+      records = [];
+    }
+    sessionId = record.session_id;
+    records.push(record);
+  }
+
+  if (records.length > 0) {
+    yield { sessionId, records };
+  }
+}
+
+// Write a cursor to a writable stream in the given format, respecting backpressure.
+// Pass `signal` to stop waiting when the destination goes away.
+export async function writeExport(cursor, format, output, { signal } = {}) {
+  const write = async (text) => {
+    if (!output.write(text)) {
+      await once(output, 'drain', { signal });
+    }
+  };
+
+  if (format === 'markdown') {
+    let first = true;
+    for await (const { sessionId, records } of groupBySession(cursor)) {
+      await write(`${first ? '' : '\n---\n\n'}${renderTranscript(sessionId, records)}`);
+      first = false;
+    }
+    return;
+  }
+
+  if (format === 'csv') {
+    await write(stringify([CSV_COLUMNS]));
+  } else if (format === 'json') {
+    await write('[');
+  }
+
+  let first = true;
+  for await (const conversation of cursor) {
+    const record = toExportRecord(conversation);
+
+    if (format === 'csv') {
+      await write(stringify([toCsvRow(record)]));
+    } else if (format === 'jsonl') {
+      await write(`${JSON.stringify(record)}\n`);
+    } else {
+      await write(`${first ? '\n' : ',\n'}  ${JSON.stringify(record)}`);
+    }
+    first = false;
+  }
+
+  if (format === 'json') {
+    await write(first ? ']\n' : '\n]\n');
+  }
+}
@@ -0,0 +1,122 @@
+// feedback.js
+import sanitizeHtml from 'sanitize-html';
+import { redact } from './redaction.js';
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+export const FEEDBACK_REASONS = ['incorrect', 'outdated', 'incomplete', 'irrelevant', 'unclear', 'helpful', 'other'];
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// Client payloads are untrusted: `null`, arrays and primitives all arrive as-is
+export function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+// Check and normalize feedback from a client. Returns `{ feedback }` or `{ error }`.
+export function validateFeedback(data) {
+  if (!isPlainObject(data)) {
+    return { error: 'feedback must be an object' };
+  }
+  if (!data.message_id || typeof data.message_id !== 'string') {
+    return { error: 'message_id is required' };
+  }
+  if (!FEEDBACK_RATINGS.includes(data.rating)) {
+    return { error: `rating must be one of: ${FEEDBACK_RATINGS.join(', ')}` };
+  }
+  if (data.reason && !FEEDBACK_REASONS.includes(data.reason)) {
+    return { error: `reason must be one of: ${FEEDBACK_REASONS.join(', ')}` };
+  }
+
+  const comment = data.comment
+    ? redact(sanitizeHtml(String(data.comment)).slice(0, MAX_COMMENT_LENGTH)).text
+    : null;
+
+  return {
+    feedback: {
+      messageId: data.message_id,
+      rating: data.rating,
+      reason: data.reason || null,
+      comment
+    }
+  };
+}
+
+// Attach feedback to the conversation record of a message. Only the session that
+// received the answer can rate it; rating again replaces the earlier feedback.
+// Resolves to the rated conversation's question and answer, or null when no
+// matching message was found.
+export async function recordFeedback(collection, sessionId, feedback) {
+  return collection.findOneAndUpdate(
+    { message_id: feedback.messageId, session_id: sessionId },
+    {
+      $set: {
+        feedback: {
+          rating: feedback.rating,
+          reason: feedback.reason,
+          comment: feedback.comment,
+          timestamp: new Date()
+        }
+      }
+    },
+    { projection: { query: 1, answer: 1 }, returnDocument: 'after' }
+  );
+}
+
+// Questions with the worst feedback, grouped by normalized question text, with the
+// source pages their answers cited so the docs team knows what to fix
+export async function getFeedbackSummary(collection, { limit = 20 } = {}) {
+  const [totals] = await collection.aggregate([
+    { $match: { feedback: { $exists: true } } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        up: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'up'] }, 1, 0] } },
+        down: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'down'] }, 1, 0] } }
+      }
+    }
+  ]).toArray();
+
+  const reasons = await collection.aggregate([
+    { $match: { 'feedback.rating': 'down' } },
+    { $group: { _id: { $ifNull: ['$feedback.reason', 'unspecified'] }, count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]).toArray();
+
+  const lowestRated = await collection.aggregate([
+    { $match: { feedback: { $exists: true } } },
+    {
+      $group: {
+        _id: { $toLower: { $trim: { input: '$query' } } },
+        question: { $first: '$query' },
+        up: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'up'] }, 1, 0] } },
+        down: { $sum: { $cond: [{ $eq: ['$feedback.rating', 'down'] }, 1, 0] } },
+        reasons: { $addToSet: '$feedback.reason' },
+        comments: { $push: '$feedback.comment' },
+        sources: { $push: '$sources.url' },
+        lastAsked: { $max: '$timestamp' }
+      }
+    },
+    { $match: { down: { $gt: 0 } } },
+    { $addFields: { score: { $divide: [{ $subtract: ['$up', '$down'] }, { $add: ['$up', '$down'] }] } } },
+    { $sort: { score: 1, down: -1, lastAsked: -1 } },
+    { $limit: limit }
+  ]).toArray();
+
+  return {
+    total: totals?.total || 0,
+    up: totals?.up || 0,
+    down: totals?.down || 0,
+    reasons: reasons.map(reason => ({ reason: reason._id, count: reason.count })),
+    lowestRated: lowestRated.map(entry => ({
+      question: entry.question,
+      up: entry.up,
+      down: entry.down,
+      score: entry.score,
+      reasons: entry.reasons.filter(Boolean),
+      comments: entry.comments.filter(Boolean),
+      sources: [...new Set(entry.sources.flat().filter(Boolean))],
+      lastAsked: entry.lastAsked
+    }))
+  };
+}
@@ -0,0 +1,19 @@
+// feedback.test.js - Run with `npm test`
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateFeedback } from './feedback.js';
+
+test('rejects payloads that are not objects', () => {
+  for (const data of [null, undefined, 'up', 42, ['x']]) {
+    assert.deepEqual(validateFeedback(data), { error: 'feedback must be an object' });
+  }
+});
+
+test('normalizes valid feedback', () => {
+  const { feedback } = validateFeedback({ message_id: 'm1', rating: 'down', reason: 'outdated' });
+  assert.deepEqual(feedback, { messageId: 'm1', rating: 'down', reason: 'outdated', comment: null });
+});
+
+test('requires a known rating', () => {
+  assert.match(validateFeedback({ message_id: 'm1', rating: 'meh' }).error, /rating must be one of/);
+});
@@ -0,0 +1,59 @@
+// health.js - Liveness and readiness endpoints
+import express from 'express';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '5000', 10);
+const startedAt = Date.now();
+
+// Run one check with a timeout. Checks resolve to extra details (e.g. `{ count }`)
+// and throw when the dependency is unavailable.
+async function runCheck(check) {
+  const checkStartedAt = Date.now();
+  let timer;
+  try {
+    const details = await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+      })
+    ]);
+    return { status: 'ok', latency_ms: Date.now() - checkStartedAt, ...details };
+  } catch (error) {
+    return { status: 'down', latency_ms: Date.now() - checkStartedAt, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Run every check in parallel: `{ status: 'ok' | 'degraded', checks: { name: result } }`
+export async function runHealthChecks(checks) {
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map(name => runCheck(checks[name])));
+  const report = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+  const healthy = results.every(result => result.status === 'ok');
+  return { status: healthy ? 'ok' : 'degraded', checks: report };
+}
+
+// `/healthz` answers as long as the process is serving requests; `/readyz` runs
+// `checks` (name → async function) and answers 503 when any dependency is down,
+// or when `isDraining()` says the server is shutting down
+export function createHealthRouter(checks, { isDraining = () => false } = {}) {
+  const router = express.Router();
+
+  router.get('/healthz', (req, res) => {
+    res.status(200).json({ status: 'ok', uptime_s: Math.round((Date.now() - startedAt) / 1000) });
+  });
+
+  router.get('/readyz', async (req, res) => {
+    // Fail fast so load balancers stop routing here while in-flight queries finish
+    if (isDraining()) {
+      return res.status(503).json({ status: 'draining', checks: {} });
+    }
+    const report = await runHealthChecks(checks);
+    res.status(report.status === 'ok' ? 200 : 503).json(report);
+  });
+
+  return router;
+}
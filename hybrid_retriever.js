@@ -0,0 +1,274 @@
+// hybrid_retriever.js
+import { BaseRetriever } from '@langchain/core/retrievers';
+import { Document } from '@langchain/core/documents';
+import dotenv from 'dotenv';
+import { cosineSimilarity } from './vector_math.js';
+
+dotenv.config();
+
+// Rank constant for reciprocal rank fusion; 60 is the value from the original paper
+const RRF_K = 60;
+
+// Read retrieval settings from the environment
+export function getRetrievalConfig() {
+  const k = parseInt(process.env.RETRIEVAL_K || '6', 10);
+  return {
+    // `similarity` searches vectors only, `hybrid` fuses vector and BM25 keyword results
+    mode: process.env.RETRIEVAL_MODE || 'similarity',
+    k,
+    fetchK: parseInt(process.env.RETRIEVAL_FETCH_K || String(k * 4), 10),
+    mmr: process.env.RETRIEVAL_MMR === 'true',
+    mmrLambda: parseFloat(process.env.RETRIEVAL_MMR_LAMBDA || '0.5'),
+    vectorWeight: parseFloat(process.env.HYBRID_VECTOR_WEIGHT || '1'),
+    keywordWeight: parseFloat(process.env.HYBRID_KEYWORD_WEIGHT || '1'),
+    reranker: process.env.RERANKER || 'none',
+    keywordMinIdf: parseFloat(process.env.KEYWORD_MIN_IDF || '2'),
+    indexTtlMs: parseInt(process.env.HYBRID_INDEX_TTL_SECONDS || '3600', 10) * 1000
+  };
+}
+
+// Split text into lowercase terms. Dotted identifiers such as `apos.area.widget`
+// are kept whole and also split into their parts, so both forms match.
+export function tokenize(text) {
+  const terms = [];
+  for (const token of text.toLowerCase().match(/[\p{L}\p{N}_$]+(?:[.-][\p{L}\p{N}_$]+)*/gu) || []) {
+    terms.push(token);
+    if (/[.-]/.test(token)) {
+      terms.push(...token.split(/[.-]/));
+    }
+  }
+  return terms;
+}
+
+// Okapi BM25 over an in-memory list of documents
+export class BM25Index {
+  constructor(documents, { k1 = 1.2, b = 0.75, minIdf = 2 } = {}) {
+    this.documents = documents;
+    this.k1 = k1;
+    this.b = b;
+    this.minIdf = minIdf;
+    this.termFrequencies = [];
+    this.documentFrequencies = new Map();
+    this.lengths = [];
+
+    for (const doc of documents) {
+      const frequencies = new Map();
+      const terms = tokenize(doc.pageContent);
+      for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+      for (const term of frequencies.keys()) {
+        this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1);
+      }
+      this.termFrequencies.push(frequencies);
+      this.lengths.push(terms.length);
+    }
+
+    const totalLength = this.lengths.reduce((total, length) => total + length, 0);
+    this.averageLength = documents.length > 0 ? totalLength / documents.length : 0;
+  }
+
+  idf(term) {
+    const documentFrequency = this.documentFrequencies.get(term) || 0;
+    return Math.log(1 + (this.documents.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  // Best-scoring documents for a query as [{ doc, score, coverage }], highest first.
+  // BM25 scores can't be compared between queries, so `coverage` gives the
+  // IDF-weighted share of the query's rare terms (IDF of at least `minIdf`, such as
+  // API names) the document contains, from 0 to 1. Common words don't count, so a
+  // vague question like "how do I do it?" has a coverage of 0 everywhere.
+  search(query, k) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const totalIdf = queryTerms
+      .filter(term => this.idf(term) >= this.minIdf)
+      .reduce((total, term) => total + this.idf(term), 0);
+    const results = [];
+
+    this.termFrequencies.forEach((frequencies, i) => {
+      let score = 0;
+      let matchedIdf = 0;
+      for (const term of queryTerms) {
+        const frequency = frequencies.get(term);
+        if (!frequency) {
+          continue;
+        }
+        const idf = this.idf(term);
+        const lengthNorm = 1 - this.b + this.b * (this.lengths[i] / (this.averageLength || 1));
+        score += idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+        if (idf >= this.minIdf) {
+          matchedIdf += idf;
+        }
+      }
+      if (score > 0) {
+        results.push({ doc: this.documents[i], score, coverage: totalIdf > 0 ? matchedIdf / totalIdf : 0 });
+      }
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+}
+
+// Rerankers reorder the fused candidates before the final k are taken.
+// Each takes (query, candidates) and resolves to the candidates in their new order.
+const rerankers = {
+  none: async (query, candidates) => candidates,
+  // Favour candidates containing more of the query's distinct terms, keeping fused order for ties
+  keyword: async (query, candidates) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    const overlap = (candidate) => {
+      const terms = new Set(tokenize(candidate.doc.pageContent));
+      return queryTerms.filter(term => terms.has(term)).length;
+    };
+    return candidates
+      .map((candidate, index) => ({ candidate, index, overlap: overlap(candidate) }))
+      .sort((a, b) => b.overlap - a.overlap || a.index - b.index)
+      .map(({ candidate }) => candidate);
+  }
+};
+
+export function registerReranker(name, reranker) {
+  rerankers[name] = reranker;
+}
+
+// Weighted reciprocal rank fusion of vector and keyword results, keyed by content
+function fuseResults(vectorResults, keywordResults, { vectorWeight, keywordWeight }) {
+  const fused = new Map();
+  const add = (results, weight, source) => {
+    results.forEach((result, rank) => {
+      const key = result.doc.pageContent;
+      const entry = fused.get(key) || { doc: result.doc, embedding: null, similarity: null, keywordScore: null, fusionScore: 0, sources: [] };
+      entry.fusionScore += weight / (RRF_K + rank + 1);
+      entry.sources.push(source);
+      if (source === 'vector') {
+        entry.similarity = result.score;
+        entry.embedding = result.embedding;
+      } else {
+        entry.keywordScore = result.coverage;
+      }
+      fused.set(key, entry);
+    });
+  };
+
+  add(vectorResults, vectorWeight, 'vector');
+  add(keywordResults, keywordWeight, 'keyword');
+  return [...fused.values()].sort((a, b) => b.fusionScore - a.fusionScore);
+}
+
+// Maximal marginal relevance: trade relevance (candidate order) against similarity to
+// what has already been picked. Candidates without a stored vector count as novel.
+function selectWithMmr(candidates, k, lambda) {
+  const relevance = (index) => 1 - index / candidates.length;
+  const remaining = candidates.map((candidate, index) => ({ candidate, index }));
+  const selected = [];
+
+  while (selected.length < k && remaining.length > 0) {
+    let bestPosition = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach(({ candidate, index }, position) => {
+      const redundancy = Math.max(0, ...selected
+        .filter(picked => picked.embedding && candidate.embedding)
+        .map(picked => cosineSimilarity(picked.embedding, candidate.embedding)));
+      const score = lambda * relevance(index) - (1 - lambda) * redundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        bestPosition = position;
+      }
+    });
+
+    selected.push(remaining.splice(bestPosition, 1)[0].candidate);
+  }
+
+  return selected;
+}
+
+// Retriever combining vector search with optional BM25 keyword search, reranking and MMR.
+// Documents carry `metadata.score` (vector similarity, 0 when only found by keyword)
+// and, in hybrid mode, `metadata.keyword_score` (BM25 term coverage, 0 to 1), which
+// lets the confidence gate in llm_query.js accept exact matches on API names that
+// vector search ranks poorly.
+export class HybridRetriever extends BaseRetriever {
+  lc_namespace = ['apos_chatbot', 'retrievers'];
+
+  constructor(chroma, config = getRetrievalConfig()) {
+    super();
+    this.chroma = chroma;
+    this.config = config;
+    this._index = null;
+    this._indexBuiltAt = 0;
+    this._indexBuild = null;
+
+    if (!rerankers[config.reranker]) {
+      throw new Error(`Unknown reranker "${config.reranker}"`);
+    }
+  }
+
+  // Short description of how results are produced, logged with each query
+  get mode() {
+    const parts = [this.config.mode];
+    if (this.config.mmr) {
+      parts.push('mmr');
+    }
+    if (this.config.reranker !== 'none') {
+      parts.push(`rerank:${this.config.reranker}`);
+    }
+    return parts.join('+');
+  }
+
+  // Build the keyword index from every chunk in the store, rebuilding it after the TTL
+  // so newly ingested documents are picked up. Only one build runs at a time; during
+  // a rebuild queries keep using the previous index.
+  async _getIndex() {
+    const stale = !this._index || Date.now() - this._indexBuiltAt > this.config.indexTtlMs;
+    if (stale && !this._indexBuild) {
+      this._indexBuild = this._buildIndex().finally(() => {
+        this._indexBuild = null;
+      });
+    }
+    return this._index || this._indexBuild;
+  }
+
+  async _buildIndex() {
+    try {
+      const documents = await this.chroma.getAllDocuments();
+      this._index = new BM25Index(documents, { minIdf: this.config.keywordMinIdf });
+      this._indexBuiltAt = Date.now();
+      console.log(`Built keyword index over ${documents.length} documents`);
+    } catch (error) {
+      // Without an earlier index there's nothing to fall back on
+      if (!this._index) {
+        throw error;
+      }
+      console.error(`Failed to rebuild keyword index, keeping the previous one: ${error}`);
+    }
+    return this._index;
+  }
+
+  invalidateIndex() {
+    this._index = null;
+  }
+
+  async _getRelevantDocuments(query) {
+    const { mode, k, fetchK, mmr, mmrLambda } = this.config;
+    const needsCandidates = mode === 'hybrid' || mmr || this.config.reranker !== 'none';
+    const vectorResults = await this.chroma.vectorSearch(query, needsCandidates ? fetchK : k);
+    const keywordResults = mode === 'hybrid'
+      ? (await this._getIndex()).search(query, fetchK)
+      : [];
+
+    let candidates = fuseResults(vectorResults, keywordResults, this.config);
+    candidates = await rerankers[this.config.reranker](query, candidates);
+    const selected = mmr ? selectWithMmr(candidates, k, mmrLambda) : candidates.slice(0, k);
+
+    return selected.map(candidate => new Document({
+      pageContent: candidate.doc.pageContent,
+      metadata: {
+        ...candidate.doc.metadata,
+        score: candidate.similarity ?? 0,
+        ...(candidate.keywordScore !== null ? { keyword_score: candidate.keywordScore } : {}),
+        retrieval_sources: candidate.sources
+      }
+    }));
+  }
+}
@@ -0,0 +1,263 @@
+// ingest.js - Build or update a tenant's Chroma collection from a local docs directory
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { ChromaClient } from 'chromadb';
+import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+import sanitizeHtml from 'sanitize-html';
+import dotenv from 'dotenv';
+import { createEmbeddings } from './providers.js';
+import { getTenant, getDefaultTenant } from './tenant_registry.js';
+
+dotenv.config();
+
+const DOC_EXTENSIONS = ['.md', '.markdown', '.html', '.htm'];
+const BATCH_SIZE = 100;
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Recursively list the Markdown and HTML files under a directory
+function findDocFiles(directory) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith('.') && entry.name !== 'node_modules') {
+        files.push(...findDocFiles(fullPath));
+      }
+    } else if (DOC_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(fullPath);
+    }
+  }
+
+  return files.sort();
+}
+
+// Split YAML front matter from a Markdown file, reading only flat `key: value` pairs
+function parseFrontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { attributes: {}, body: text };
+  }
+
+  const attributes = {};
+  for (const line of match[1].split('\n')) {
+    const pair = line.match(/^(\w+):\s*(.*)$/);
+    if (pair) {
+      attributes[pair[1]] = pair[2].trim().replace(/^['"]|['"]$/g, '');
+    }
+  }
+  return { attributes, body: text.slice(match[0].length) };
+}
+
+// Convert HTML to plain text, keeping headings as Markdown so titles and splits survive
+function htmlToText(html) {
+  const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  const withBreaks = (body ? body[1] : html)
+    .replace(/<h([1-6])[^>]*>/gi, (_, level) => `\n\n${'#'.repeat(Number(level))} `)
+    .replace(/<br\s*\/?>|<\/(p|div|li|pre|section|article|tr|h[1-6])>/gi, '\n');
+  const text = sanitizeHtml(withBreaks, {
+    allowedTags: [],
+    allowedAttributes: {},
+    nonTextTags: ['style', 'script', 'textarea', 'option', 'noscript', 'nav', 'header', 'footer']
+  });
+  return text.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Public URL of a docs file, e.g. guide/widgets.md -> <baseUrl>guide/widgets.html
+function urlForFile(relativePath, baseUrl) {
+  const pagePath = relativePath
+    .split(path.sep)
+    .join('/')
+    .replace(/\.(md|markdown|htm|html)$/i, '.html')
+    .replace(/(^|\/)(index|README)\.html$/i, '$1');
+  return new URL(pagePath, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).toString();
+}
+
+// Read a docs file into its text, title and URL. A "Reference URL:" line in the
+// content takes precedence over the file path, and is removed from the text.
+function loadDocFile(filePath, docsDirectory, baseUrl) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const relativePath = path.relative(docsDirectory, filePath);
+  const isHtml = /\.html?$/i.test(filePath);
+
+  let attributes = {};
+  let text;
+  if (isHtml) {
+    const title = raw.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    attributes = title ? { title: sanitizeHtml(title[1], { allowedTags: [] }).trim() } : {};
+    text = htmlToText(raw);
+  } else {
+    ({ attributes, body: text } = parseFrontMatter(raw));
+  }
+
+  let url = attributes.url || null;
+  const lines = text.split('\n');
+  const referenceIndex = lines.findIndex(line => line.includes('Reference URL:'));
+  if (referenceIndex !== -1) {
+    url = url || lines[referenceIndex].replace(/^.*Reference URL:/, '').trim();
+    lines.splice(referenceIndex, 1);
+    text = lines.join('\n');
+  }
+
+  const heading = lines.find(line => /^#\s/.test(line));
+  return {
+    source: relativePath.split(path.sep).join('/'),
+    url: url || urlForFile(relativePath, baseUrl),
+    title: attributes.title || (heading ? heading.replace(/^#\s+/, '').trim() : null),
+    text: text.trim()
+  };
+}
+
+// Split every docs file into chunks with stable ids and hashes of their content and metadata
+async function buildChunks(docsDirectory, { baseUrl, chunkSize, chunkOverlap }) {
+  const splitter = RecursiveCharacterTextSplitter.fromLanguage('markdown', { chunkSize, chunkOverlap });
+  const chunks = [];
+
+  for (const filePath of findDocFiles(docsDirectory)) {
+    const doc = loadDocFile(filePath, docsDirectory, baseUrl);
+    if (!doc.text) {
+      continue;
+    }
+
+    const pieces = await splitter.splitText(doc.text);
+    pieces.forEach((content, index) => {
+      const metadata = { url: doc.url, title: doc.title || '' };
+      chunks.push({
+        id: hash(`${doc.source}#${index}`),
+        content,
+        metadata: {
+          ...metadata,
+          source: doc.source,
+          chunk: index,
+          // Covers the metadata too, so a new base URL or title is re-ingested
+          hash: hash(JSON.stringify([content, metadata.url, metadata.title]))
+        }
+      });
+    });
+  }
+
+  return chunks;
+}
+
+// Fetch the ids and metadata of everything already in the collection, a page at a time
+async function getExistingChunks(collection) {
+  const existing = new Map();
+  const pageSize = 1000;
+
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await collection.get({ include: ['metadatas'], limit: pageSize, offset });
+    page.ids.forEach((id, i) => existing.set(id, page.metadatas[i] || {}));
+    if (page.ids.length < pageSize) {
+      return existing;
+    }
+  }
+}
+
+// Write chunks for the in-memory vector store (VECTOR_STORE=memory)
+function writeMemoryDocs(chunks, outputPath) {
+  const records = chunks.map(chunk => ({ pageContent: chunk.content, metadata: chunk.metadata }));
+  fs.writeFileSync(outputPath, JSON.stringify(records, null, 2));
+  return { written: records.length };
+}
+
+// Ingest a docs directory into Chroma. Chunks whose hash is unchanged are
+// skipped, and chunks this tool ingested from pages that no longer exist are deleted.
+// Chunks without a `source` (created by other tools) are never deleted.
+// `options.collection` and `options.memoryDocsPath` default to the default tenant's.
+export async function ingestDocs(options) {
+  const tenant = getDefaultTenant();
+  const docsDirectory = path.resolve(options.dir);
+  const chunks = await buildChunks(docsDirectory, options);
+  console.log(`Found ${chunks.length} chunks in ${docsDirectory}`);
+
+  if (process.env.VECTOR_STORE === 'memory') {
+    const outputPath = path.resolve(options.memoryDocsPath || tenant.memoryDocsPath);
+    const result = options.dryRun ? { written: 0 } : writeMemoryDocs(chunks, outputPath);
+    console.log(`Wrote ${result.written} chunks to ${outputPath}`);
+    return result;
+  }
+
+  const client = new ChromaClient();
+  const collection = await client.getOrCreateCollection({
+    name: options.collection || tenant.collection,
+    metadata: { 'hnsw:space': 'cosine' }
+  });
+  const existing = await getExistingChunks(collection);
+
+  const changed = chunks.filter(chunk => existing.get(chunk.id)?.hash !== chunk.metadata.hash);
+  const currentIds = new Set(chunks.map(chunk => chunk.id));
+  const removed = [...existing.entries()]
+    .filter(([id, metadata]) => metadata.source && !currentIds.has(id))
+    .map(([id]) => id);
+
+  const result = {
+    upserted: changed.length,
+    unchanged: chunks.length - changed.length,
+    deleted: removed.length
+  };
+
+  if (options.dryRun) {
+    console.log('Dry run, nothing written:', result);
+    return result;
+  }
+
+  const embeddings = createEmbeddings();
+  for (let i = 0; i < changed.length; i += BATCH_SIZE) {
+    const batch = changed.slice(i, i + BATCH_SIZE);
+    await collection.upsert({
+      ids: batch.map(chunk => chunk.id),
+      embeddings: await embeddings.embedDocuments(batch.map(chunk => chunk.content)),
+      metadatas: batch.map(chunk => chunk.metadata),
+      documents: batch.map(chunk => chunk.content)
+    });
+    console.log(`Upserted ${Math.min(i + BATCH_SIZE, changed.length)}/${changed.length} chunks`);
+  }
+
+  if (removed.length > 0) {
+    await collection.delete({ ids: removed });
+  }
+
+  console.log('Ingestion complete:', result);
+  return result;
+}
+
+const isCli = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isCli) {
+  const { values } = parseArgs({
+    options: {
+      // Tenant whose collection, memory docs file and default URL are used (see tenants.json)
+      tenant: { type: 'string' },
+      dir: { type: 'string', default: process.env.DOCS_PATH || './docs' },
+      'base-url': { type: 'string' },
+      'chunk-size': { type: 'string', default: '1500' },
+      'chunk-overlap': { type: 'string', default: '200' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  const tenant = values.tenant ? getTenant(values.tenant) : getDefaultTenant();
+  if (!tenant) {
+    console.error(`Unknown tenant: ${values.tenant}`);
+    process.exit(1);
+  }
+
+  ingestDocs({
+    dir: values.dir,
+    baseUrl: values['base-url'] || tenant.defaultUrl,
+    collection: tenant.collection,
+    memoryDocsPath: tenant.memoryDocsPath,
+    chunkSize: parseInt(values['chunk-size'], 10),
+    chunkOverlap: parseInt(values['chunk-overlap'], 10),
+    dryRun: values['dry-run']
+  }).catch((error) => {
+    console.error(`Ingestion failed: ${error}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,163 @@
+// knowledge_gaps.js - Questions the knowledge base couldn't answer, clustered into topics
+import { setImmediate } from 'timers/promises';
+import dotenv from 'dotenv';
+import { cosineSimilarity } from './vector_math.js';
+import { tenantFilter } from './tenant_registry.js';
+
+dotenv.config();
+
+// Stored gaps older than this are removed by MongoDB
+const TTL_SECONDS = parseInt(process.env.KNOWLEDGE_GAP_TTL_SECONDS || String(90 * 24 * 60 * 60), 10);
+// How similar two questions must be to land in the same topic
+const CLUSTER_THRESHOLD = parseFloat(process.env.KNOWLEDGE_GAP_CLUSTER_THRESHOLD || '0.8');
+// Most recent gaps clustered by one report
+const SCAN_LIMIT = parseInt(process.env.KNOWLEDGE_GAP_SCAN_LIMIT || '2000', 10);
+const MAX_EXAMPLES = 5;
+// Embedding comparisons made between yields to the event loop, so clustering a report
+// doesn't hold up live chat traffic
+const COMPARISONS_PER_YIELD = 2000;
+
+let gapCollection = null;
+
+// Attach the knowledge gap store to the conversation database, or detach it with
+// `null` while MongoDB is unavailable
+export async function initKnowledgeGaps(db) {
+  gapCollection = db ? db.collection('knowledge_gaps') : null;
+  if (!gapCollection) {
+    return;
+  }
+
+  try {
+    await gapCollection.createIndex({ timestamp: 1 }, { expireAfterSeconds: TTL_SECONDS });
+  } catch (error) {
+    console.error(`Failed to create knowledge gap indexes: ${error}`);
+  }
+}
+
+// The collection, or null while MongoDB is unavailable
+export function getKnowledgeGapCollection() {
+  return gapCollection;
+}
+
+// Store a question that fell below the confidence threshold, with its best
+// retrieval score and the chunks that came closest (`[{ url, title, score }]`)
+export async function recordKnowledgeGap({ tenant, sessionId, question, embedding, topScore, nearest, retrievalMode }) {
+  if (!gapCollection) {
+    return;
+  }
+
+  try {
+    await gapCollection.insertOne({
+      tenant,
+      session_id: sessionId,
+      question,
+      embedding,
+      top_score: topScore,
+      nearest,
+      retrieval_mode: retrievalMode,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error storing knowledge gap:', error);
+  }
+}
+
+// Greedy single-pass clustering: each gap joins the first topic whose centroid is
+// close enough, otherwise it starts a new topic
+async function clusterGaps(gaps, threshold) {
+  const clusters = [];
+  let comparisons = 0;
+
+  for (const gap of gaps) {
+    if (!Array.isArray(gap.embedding) || gap.embedding.length === 0) {
+      continue;
+    }
+    let cluster = null;
+    for (const candidate of clusters) {
+      if (++comparisons % COMPARISONS_PER_YIELD === 0) {
+        await setImmediate();
+      }
+      if (candidate.centroid.length === gap.embedding.length
+        && cosineSimilarity(candidate.centroid, gap.embedding) >= threshold) {
+        cluster = candidate;
+        break;
+      }
+    }
+
+    if (!cluster) {
+      clusters.push({ centroid: [...gap.embedding], gaps: [gap] });
+      continue;
+    }
+    // Keep the centroid as the running mean of its members
+    cluster.gaps.push(gap);
+    const count = cluster.gaps.length;
+    cluster.centroid = cluster.centroid.map((value, i) => value + (gap.embedding[i] - value) / count);
+  }
+
+  return clusters;
+}
+
+// The docs page the topic's questions came closest to, weighting each page by how
+// often it was among the nearest chunks and how well it scored
+function closestPage(gaps) {
+  const pages = new Map();
+  for (const gap of gaps) {
+    for (const chunk of gap.nearest || []) {
+      const page = pages.get(chunk.url) || { url: chunk.url, title: chunk.title, weight: 0, bestScore: 0 };
+      page.weight += chunk.score ?? 0;
+      page.bestScore = Math.max(page.bestScore, chunk.score ?? 0);
+      pages.set(chunk.url, page);
+    }
+  }
+
+  const [best] = [...pages.values()].sort((a, b) => b.weight - a.weight);
+  return best ? { url: best.url, title: best.title, bestScore: best.bestScore } : null;
+}
+
+// Cluster gaps recorded between `from` and `to` into topics, largest first:
+// `{ topics: [{ count, exampleQuestions, bestScore, closestPage, lastAsked }], total }`.
+// `threshold` overrides KNOWLEDGE_GAP_CLUSTER_THRESHOLD, and `tenant` limits the report
+// to one tenant's questions.
+export async function getKnowledgeGapReport(collection, { from, to, tenant, threshold = CLUSTER_THRESHOLD, limit = 50 } = {}) {
+  const filter = tenant ? tenantFilter(tenant) : {};
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) {
+      filter.timestamp.$gte = from;
+    }
+    if (to) {
+      filter.timestamp.$lte = to;
+    }
+  }
+
+  const gaps = await collection.find(filter)
+    .sort({ timestamp: -1 })
+    .limit(SCAN_LIMIT)
+    .toArray();
+
+  const clusters = await clusterGaps(gaps, threshold);
+  const topics = clusters.map((cluster) => {
+    const examples = [];
+    for (const gap of cluster.gaps) {
+      const normalized = gap.question.trim().toLowerCase();
+      if (!examples.some(example => example.trim().toLowerCase() === normalized)) {
+        examples.push(gap.question);
+      }
+      if (examples.length === MAX_EXAMPLES) {
+        break;
+      }
+    }
+
+    return {
+      count: cluster.gaps.length,
+      exampleQuestions: examples,
+      bestScore: Math.max(...cluster.gaps.map(gap => gap.top_score ?? 0)),
+      closestPage: closestPage(cluster.gaps),
+      // Gaps are sorted newest first
+      lastAsked: cluster.gaps[0].timestamp
+    };
+  });
+
+  topics.sort((a, b) => b.count - a.count || b.lastAsked - a.lastAsked);
+  return { total: gaps.length, threshold, topics: topics.slice(0, limit) };
+}
@@ -1,147 +1,90 @@
 // llm_query.js
-import { ChatOpenAI } from '@langchain/openai';
-import { ChatAnthropic } from '@langchain/anthropic';
-import { OpenAIEmbeddings } from '@langchain/openai';
-import { ChatMessageHistory } from '@langchain/community/chat_message_histories/in_memory';
-import { 
-  createHistoryAwareRetriever, 
-  createRetrieval, 
-  createStuffDocuments
-} from 'langchain/chains/combine_documents';
-import { RunnableWithMessageHistory } from '@langchain/core/runnables';
+import { createRetrievalChain } from 'langchain/chains/retrieval';
+import { createStuffDocumentsChain } from 'langchain/chains/combine_documents';
+import { RunnableSequence, RunnableWithMessageHistory } from '@langchain/core/runnables';
+import { HumanMessage, AIMessage } from '@langchain/core/messages';
+import { BaseCallbackHandler } from '@langchain/core/callbacks/base';
 import { ChatPromptTemplate, MessagesPlaceholder, PromptTemplate } from '@langchain/core/prompts';
+import { StringOutputParser } from '@langchain/core/output_parsers';
 import dotenv from 'dotenv';
 import { ChromaDB } from './db_singleton.js';
+import { checkQuestion } from './query_guard.js';
+import { getSessionHistory, historySessionId } from './chat_history.js';
+import { createChatModel } from './providers.js';
+import { findSimilarAnswer, rememberAnswer, getDuplicateQuestionMode } from './answer_cache.js';
+import { recordKnowledgeGap } from './knowledge_gaps.js';
+import {
+  loadModelRegistry,
+  getModel,
+  getDefaultModel,
+  getFallbackModel
+} from './model_registry.js';
+import { getPromptRegistry, assignPromptVariant } from './prompt_registry.js';
+import { loadTenantRegistry, listTenants, getDefaultTenant } from './tenant_registry.js';
 
 dotenv.config();
 
-// Global store for chat histories
-const chatHistoriesStore = {};
-let currentModel = null;
+// Conversational chains (`cache`) keyed by tenant, registry model key and prompt version,
+// built once and reused across queries, with the retriever of each tenant's chains and
+// the tenants whose default model's chains were built by initLlm. reloadLlm builds a
+// new set and swaps it in, so queries keep using the current one in the meantime.
+let chains = createChainSet();
+// Question rephrasers, keyed like the chain cache
+let rephraserCache = new Map();
+// The last provider probe for the health check, `{ at, pending }`
+let lastProbe = null;
+const LLM_PROBE_TTL_MS = parseInt(process.env.LLM_PROBE_TTL_MS || '60000', 10);
 
-// Function to calculate cosine similarity manually
-function cosineSimilarity(vectorA, vectorB) {
-  if (vectorA.length !== vectorB.length) {
-    throw new Error('Vectors must have the same dimensions');
-  }
-  
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-  
-  for (let i = 0; i < vectorA.length; i++) {
-    dotProduct += vectorA[i] * vectorB[i];
-    normA += vectorA[i] * vectorA[i];
-    normB += vectorB[i] * vectorB[i];
-  }
-  
-  if (normA === 0 || normB === 0) {
-    return 0;
-  }
-  
-  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-}
-
-// Function to check similarity between questions
-async function areQuestionsSimilar(question1, question2, threshold = 0.85) {
-  const embeddings = new OpenAIEmbeddings();
-  const embedding1 = await embeddings.embedQuery(question1);
-  const embedding2 = await embeddings.embedQuery(question2);
-  const similarity = cosineSimilarity(embedding1, embedding2);
-  return similarity >= threshold;
-}
-
-// Retrieve or initialize chat history for a session
-function getSessionHistory(sessionId) {
-  if (!chatHistoriesStore[sessionId]) {
-    chatHistoriesStore[sessionId] = new ChatMessageHistory();
-  }
-  return chatHistoriesStore[sessionId];
+function createChainSet() {
+  return { cache: new Map(), retrievers: new Map(), readyTenants: new Set() };
 }
 
-// Initialize and load your LLM, RAG DB, and conversational memory here
-async function setupLlmAndDb(retriever) {
-  // Get model choice from environment
-  const modelChoice = process.env.CHAT_MODEL || 'ChatOpenAI';
-
-  // Initialize the actual LLM
-  let chat;
-  if (modelChoice === 'ChatOpenAI') {
-    chat = new ChatOpenAI({
-      temperature: 0,
-      modelName: 'gpt-4o'
-    });
-    currentModel = 'gpt-4o';
-  } else {
-    chat = new ChatAnthropic({
-      temperature: 0.0,
-      modelName: 'claude-3-5-sonnet-20240620'
-    });
-    currentModel = 'claude-3-5-sonnet-20240620';
-  }
-
-  // Contextualize question
-  const contextualizeQSystemPrompt = `
-    Given a chat history and the latest user question which might reference context in the chat history, formulate a standalone question which can be understood without the chat history. Match the language of the question or chat history. Do NOT answer the question, just reformulate it if needed and otherwise return it as is.
-  `;
-
-  const contextualizeQPrompt = ChatPromptTemplate.fromMessages([
-    ['system', contextualizeQSystemPrompt],
+// Prompt turning a follow-up question into a standalone one
+function createContextualizePrompt(promptVariant) {
+  return ChatPromptTemplate.fromMessages([
+    ['system', promptVariant.rephrase],
     new MessagesPlaceholder('chat_history'),
     ['human', '{input}'],
   ]);
+}
 
-  // Create history-aware retriever
-  const historyAwareRetriever = await createHistoryAwareRetriever({
-    llm: chat,
-    retriever,
-    rephrasePrompt: contextualizeQPrompt,
-  });
+// Initialize and load your LLM, RAG DB, and conversational memory here,
+// with the prompts of one prompt variant
+async function setupLlmAndDb(retriever, modelEntry, promptVariant) {
+  // Initialize the actual LLM
+  const chat = createChatModel(modelEntry);
 
-  // Define the custom prompt template
-  const DEFAULT_TEMPLATE = `
-You are a senior developer with extensive expertise in Node.js, Express.js, Nunjucks, Vue.js, and the ApostropheCMS ecosystem (version 3 and above). Your main responsibility is to assist junior developers by providing insightful answers to their questions about developing within the ApostropheCMS framework. Utilize the RAG database documents in the context below to inform your answers. Ensure that your responses are comprehensive and directly applicable to the development practices within the newest ApostropheCMS context. When crafting answers, please adhere to the guidelines below and return the response in markdown format:
-1. Relevance to ApostropheCMS Development: Only respond to inquiries that pertain to developing for ApostropheCMS. If a question falls outside this domain, kindly inform the user that it is beyond the scope of your expertise.
-2. Attempt to be as concise as possible. Users should primarily be directed to the ApostropheCMS documentation for detailed information.
-3. Documentation Links: Provide the top 2-3 unique links to relevant ApostropheCMS documentation or extension pages from the supplied URL. If no documentation exists, inform the user.
-4. ALWAYS use ESM syntax by default, unless the user specifically asks for CommonJS (CJS) syntax.
-5. ApostropheCMS Version: Ensure your responses are applicable to ApostropheCMS version 3 and newer. This distinction is crucial for providing accurate guidance.
-6. Code Examples: Incorporate code examples to illustrate your points only if needed. Focus on clarity and conciseness. By default, examples should be in ESM syntax, but ask if CJS is required for a legacy project.
-7. Structured Guidance for Complex Inquiries: For more intricate questions, provide a step-by-step guide to walk the user through the solution process effectively.
-8. LANGUAGE-SPECIFIC CODE HIGHLIGHTING:
-   - For JavaScript/Node.js code: Use \`\`\`javascript
-   - For Nunjucks templates: Use \`\`\`twig
-   - For Astro components: Use \`\`\`javascript (not \`\`\`astro)
-   - For Vue components: Use \`\`\`javascript
-   - For HTML: Use \`\`\`html
-   - For CSS: Use \`\`\`css
-   - For Shell/Bash commands: Use \`\`\`bash
-
-Furthermore, by default, answer in English. But enable users to request responses in languages other than English to accommodate a broader audience. If the user asks a question in a language other than English, respond automatically in that language. This feature enhances the accessibility and usability of your support.
-Context:
-{context}
-`;
+  // Retrieve with the standalone question getResponse already rephrased (see
+  // contextualizeQuestion), so a follow-up isn't rephrased a second time
+  const standaloneRetriever = RunnableSequence.from([
+    (input) => input.standalone_question || input.input,
+    retriever
+  ]);
 
+  // Answer from the retrieved documents
   const qaPrompt = ChatPromptTemplate.fromMessages([
-    ['system', DEFAULT_TEMPLATE],
+    ['system', promptVariant.answer],
     new MessagesPlaceholder('chat_history'),
     ['human', '{input}'],
   ]);
 
   // Updated document prompt to include URL metadata
   const documentPrompt = PromptTemplate.fromTemplate(
-    '{pageContent}\nURL: {url}'
+    '{page_content}\nURL: {url}'
   );
 
   // Create question answering chain
-  const questionAnswerChain = await createStuffDocuments({
+  const questionAnswerChain = await createStuffDocumentsChain({
     llm: chat,
     prompt: qaPrompt,
     documentPrompt
   });
 
   // Create retrieval chain
-  const ragChain = await createRetrieval(historyAwareRetriever, questionAnswerChain);
+  const ragChain = await createRetrievalChain({
+    retriever: standaloneRetriever,
+    combineDocsChain: questionAnswerChain
+  });
 
   // Create conversation chain with message history
   const conversationalRagChain = new RunnableWithMessageHistory({
@@ -155,63 +98,446 @@ Context:
   return conversationalRagChain;
 }
 
-// Calculate confidence score
-async function getConfidenceScore(query, document) {
-  const embeddings = new OpenAIEmbeddings();
-  const queryEmbedding = await embeddings.embedQuery(query);
-  const documentEmbedding = await embeddings.embedQuery(document);
-  return cosineSimilarity(queryEmbedding, documentEmbedding);
+// A tenant's default model: its own registry key, or the registry default
+function getTenantModel(tenant) {
+  return (tenant.model && getModel(tenant.model)) || getDefaultModel();
+}
+
+// Get a tenant's chain for a registry model and prompt variant, building it on first use
+async function getChain(modelEntry, retriever, promptVariant, tenant, chainSet = chains) {
+  const key = `${tenant.id}:${modelEntry.key}:${promptVariant.version}`;
+  if (!chainSet.cache.has(key)) {
+    // Cache the pending build so concurrent queries share it
+    const pending = setupLlmAndDb(chainSet.retrievers.get(tenant.id) || retriever, modelEntry, promptVariant);
+    chainSet.cache.set(key, pending);
+    pending.catch(() => chainSet.cache.delete(key));
+  }
+
+  return chainSet.cache.get(key);
+}
+
+// Rephrase a follow-up question into a standalone one with the session's history,
+// for retrieval and the answer cache. Questions without history are returned as is.
+async function contextualizeQuestion(userQuestion, chatHistory, { modelEntry, promptVariant, tenant, signal, callbacks }) {
+  if (chatHistory.length === 0) {
+    return userQuestion;
+  }
+
+  const key = `${tenant.id}:${modelEntry.key}:${promptVariant.version}`;
+  if (!rephraserCache.has(key)) {
+    const rephraser = createContextualizePrompt(promptVariant)
+      .pipe(createChatModel(modelEntry))
+      .pipe(new StringOutputParser());
+    rephraserCache.set(key, rephraser);
+  }
+
+  const standalone = await rephraserCache.get(key).invoke({ input: userQuestion, chat_history: chatHistory }, { signal, callbacks });
+  return standalone.trim() || userQuestion;
+}
+
+// Validate a tenant's prompt templates and build its default model's chains at
+// startup so the first query doesn't pay for it
+async function initLlm(retriever, tenant = getDefaultTenant(), chainSet = chains) {
+  chainSet.retrievers.set(tenant.id, retriever);
+  const modelEntry = getTenantModel(tenant);
+  const variants = Object.values(getPromptRegistry(tenant.promptsPath).variants);
+  await Promise.all(variants.map(variant => getChain(modelEntry, retriever, variant, tenant, chainSet)));
+  chainSet.readyTenants.add(tenant.id);
+  console.log(`LLM chain for tenant ${tenant.id} initialized with model ${modelEntry.model} and prompts ${variants.map(variant => variant.version).join(', ')}`);
+}
+
+// Re-read the .env file, model registry, tenants and prompt templates and rebuild
+// every tenant's chains. Queries are answered by the current chains until the new
+// ones are swapped in. A tenant whose chains can't be rebuilt keeps its current ones
+// (if it had any), so one failing tenant doesn't take the others down.
+async function reloadLlm() {
+  dotenv.config({ override: true });
+  loadModelRegistry();
+  loadTenantRegistry();
+
+  const next = createChainSet();
+  for (const tenant of listTenants()) {
+    try {
+      const chroma = await ChromaDB.getInstance(tenant);
+      await initLlm(chroma.retriever, tenant, next);
+    } catch (error) {
+      console.error(`Failed to rebuild LLM chains for tenant ${tenant.id}, keeping the current ones: ${error}`);
+      keepTenantChains(tenant.id, chains, next);
+    }
+  }
+
+  chains = next;
+  rephraserCache = new Map();
+  return getCurrentModel();
+}
+
+// Copy a tenant's chains, retriever and readiness from one chain set to another
+function keepTenantChains(tenantId, from, to) {
+  for (const [key, chain] of from.cache) {
+    if (key.startsWith(`${tenantId}:`)) {
+      to.cache.set(key, chain);
+    }
+  }
+  if (from.retrievers.has(tenantId)) {
+    to.retrievers.set(tenantId, from.retrievers.get(tenantId));
+  }
+  if (from.readyTenants.has(tenantId)) {
+    to.readyTenants.add(tenantId);
+  }
+}
+
+// Token counts from an LLM result, in whichever shape the provider reports them
+function readTokenUsage(output) {
+  const metadata = output.generations?.[0]?.[0]?.message?.usage_metadata;
+  if (metadata) {
+    return { input: metadata.input_tokens || 0, output: metadata.output_tokens || 0 };
+  }
+  const openAiUsage = output.llmOutput?.tokenUsage;
+  if (openAiUsage) {
+    return { input: openAiUsage.promptTokens || 0, output: openAiUsage.completionTokens || 0 };
+  }
+  const anthropicUsage = output.llmOutput?.usage;
+  if (anthropicUsage) {
+    return { input: anthropicUsage.input_tokens || 0, output: anthropicUsage.output_tokens || 0 };
+  }
+  return null;
+}
+
+// Callback handler adding up token usage over every LLM call for a question
+// (rephrasing and answering). `usage` stays null if nothing was reported.
+function createUsageTracker() {
+  const tracker = { usage: null };
+  tracker.handler = BaseCallbackHandler.fromMethods({
+    handleLLMEnd(output) {
+      const usage = readTokenUsage(output);
+      if (!usage) {
+        return;
+      }
+      const total = tracker.usage || { input: 0, output: 0, total: 0 };
+      tracker.usage = {
+        input: total.input + usage.input,
+        output: total.output + usage.output,
+        total: total.total + usage.input + usage.output
+      };
+    }
+  });
+  return tracker;
+}
+
+// Run one model's chain, returning the answer and the documents it was based on.
+// Documents are retrieved for `standaloneQuestion`; usage is added to `usageTracker`.
+// The model's timeout aborts the call without aborting the caller's signal.
+async function runChain(modelEntry, retriever, userQuestion, { historyId, standaloneQuestion, promptVariant, tenant, signal, onChunk, usageTracker }) {
+  const conversationalRagChain = await getChain(modelEntry, retriever, promptVariant, tenant);
+
+  const controller = new AbortController();
+  const abort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', abort, { once: true });
+  const timer = modelEntry.timeoutMs
+    ? setTimeout(() => controller.abort(new Error(`Model ${modelEntry.key} timed out after ${modelEntry.timeoutMs}ms`)), modelEntry.timeoutMs)
+    : null;
+
+  const config = {
+    configurable: { sessionId: historyId },
+    signal: controller.signal,
+    callbacks: [usageTracker.handler]
+  };
+
+  try {
+    if (!onChunk) {
+      // Function invocation with the user's question and configuration
+      const response = await conversationalRagChain.invoke({ input: userQuestion, standalone_question: standaloneQuestion }, config);
+
+      // Extracting the answer and the documents it was based on from the response
+      return { answer: response.answer, context: response.context || [] };
+    }
+
+    // Stream the chain output; only the `answer` key carries generated text,
+    // the other keys (input, chat_history, context) arrive as whole values
+    const stream = await conversationalRagChain.stream({ input: userQuestion, standalone_question: standaloneQuestion }, config);
+    let answer = '';
+    let context = [];
+
+    for await (const chunk of stream) {
+      controller.signal.throwIfAborted();
+
+      if (chunk.context) {
+        context = chunk.context;
+      }
+      if (typeof chunk.answer === 'string' && chunk.answer.length > 0) {
+        answer += chunk.answer;
+        onChunk(chunk.answer);
+      }
+    }
+
+    return { answer, context };
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+// Pull a display title from the document metadata or its first markdown heading
+function getDocumentTitle(doc) {
+  if (doc.metadata.title || doc.metadata.heading) {
+    return doc.metadata.title || doc.metadata.heading;
+  }
+  const heading = (doc.pageContent || '').split('\n').find(line => /^#{1,6}\s/.test(line.trim()));
+  return heading ? heading.trim().replace(/^#{1,6}\s+/, '') : null;
+}
+
+// Build a deduplicated (by URL) source list, best-scoring first.
+// Scores are the similarities the retriever attached to each document.
+function buildSources(documents) {
+  const byUrl = new Map();
+
+  for (const doc of documents) {
+    const score = doc.metadata.score ?? 0;
+    const existing = byUrl.get(doc.metadata.url);
+
+    if (!existing || score > existing.score) {
+      byUrl.set(doc.metadata.url, {
+        url: doc.metadata.url,
+        title: getDocumentTitle(doc),
+        snippet: (doc.pageContent || '').replace(/\s+/g, ' ').trim().slice(0, 200),
+        score
+      });
+    }
+  }
+
+  return [...byUrl.values()].sort((a, b) => b.score - a.score);
 }
 
-// Get response for user question
-async function getResponse(userQuestion, retriever, sessionId = 'default_session') {
-  const sessionHistory = getSessionHistory(sessionId);
+// Get response for user question, resolving to
+// `{ answer, outcome, sources, topScore, topKeywordScore, retrievalMode, model, modelKey, fallbackUsed, usage, cacheHit, guard, promptVersion }`.
+// `outcome` is one of answered, cache_hit, duplicate_refused, empty_kb, low_confidence or blocked;
+// blocked questions carry the guard's `{ verdict, reason, via }`.
+// Pass `onChunk` to receive the answer token-by-token as it is generated,
+// `signal` (an AbortSignal) to stop generation partway through, and `modelKey`
+// to answer with a registry model other than the tenant's default. `tenant` (from
+// tenant_registry.js) defaults to the default tenant and must match `retriever`.
+// `answerCache: false` skips serving and storing repeated answers, as evaluation runs need.
+async function getResponse(userQuestion, retriever, sessionId = 'default_session', options = {}) {
+  const { onChunk, signal } = options;
+  const tenant = options.tenant || getDefaultTenant();
+  const useAnswerCache = options.answerCache !== false;
+  const primaryModel = (options.modelKey && getModel(options.modelKey)) || getTenantModel(tenant);
+  // Assigned even when no LLM is called so refusal rates can be compared per variant
+  const promptVariant = assignPromptVariant(sessionId, tenant.promptsPath);
+  // Chat history is kept per tenant
+  const historyId = historySessionId(sessionId, tenant.id);
+
+  // Token usage of every LLM call made for the question
+  const usageTracker = createUsageTracker();
+
+  // Canned and cached replies are sent as a single chunk when streaming
+  const reply = (text, details = {}) => {
+    if (onChunk) {
+      onChunk(text);
+    }
+    return {
+      answer: text,
+      outcome: null,
+      sources: [],
+      topScore: null,
+      topKeywordScore: null,
+      retrievalMode: null,
+      model: null,
+      modelKey: null,
+      fallbackUsed: false,
+      usage: usageTracker.usage,
+      cacheHit: null,
+      guard: null,
+      promptVersion: promptVariant.version,
+      ...details
+    };
+  };
+
+  // Screen the question before spending retrieval and LLM calls on it; the history
+  // lets follow-up questions be judged in context
+  const chatHistory = await getSessionHistory(historyId).getMessages();
+  const guard = await checkQuestion(userQuestion, { signal, history: chatHistory, tenant });
+  if (guard.verdict === 'injection') {
+    return reply(`I'm sorry, I can't follow instructions that change how I work. I can only answer questions about ${tenant.displayName}.`, { outcome: 'blocked', guard });
+  }
+  if (guard.verdict === 'off_topic') {
+    return reply(`I'm sorry, I can only answer questions about ${tenant.displayName}. If you have a question about ${tenant.displayName}, please ask it, or join our Discord community from the link below for other help.`, { outcome: 'blocked', guard });
+  }
 
-  // Check for similar questions in chat history
-  for (const message of sessionHistory.getMessages()) {
-    if (message.role === 'human') {
-      if (await areQuestionsSimilar(userQuestion, message.content)) {
-        return "It looks like you're asking a similar question to one you've already asked. This can lead to increased hallucination. Please refer to the ApostropheCMS documentation links given in the original answer or rephrase your question to be more specific. If you have additional questions, consider joining our Discord community from the link below for further assistance.";
+  // Rephrase a follow-up into a standalone question once; retrieval, the answer cache
+  // and the chain all use it. A failed rephrase retrieves with the question as asked
+  // and skips the cache, since a follow-up like "can you show an example?" would
+  // otherwise match the same words asked about another topic.
+  const rephrased = await contextualizeQuestion(userQuestion, chatHistory, { modelEntry: primaryModel, promptVariant, tenant, signal, callbacks: [usageTracker.handler] })
+    .catch((error) => {
+      if (signal?.aborted) {
+        throw error;
       }
+      console.error(`Could not rephrase the question: ${error}`);
+      return null;
+    });
+  const standaloneQuestion = rephrased || userQuestion;
+
+  // Embed the question once; the retriever and the chain reuse this cached embedding
+  const chroma = await ChromaDB.getInstance(tenant);
+  const questionEmbedding = await chroma.getCachedEmbedding(standaloneQuestion);
+
+  // Check for similar questions asked earlier in this session (or any session)
+  const cacheKey = { sessionId, tenantId: tenant.id, modelKey: primaryModel.key, promptVersion: promptVariant.version };
+  const useCache = useAnswerCache && rephrased !== null && getDuplicateQuestionMode() !== 'off';
+  const match = useCache ? await findSimilarAnswer(questionEmbedding, cacheKey) : null;
+  if (match) {
+    const cacheHit = {
+      id: match.entry._id ? String(match.entry._id) : null,
+      question: match.entry.question,
+      session_id: match.entry.session_id,
+      similarity: match.similarity
+    };
+
+    if (getDuplicateQuestionMode() === 'refuse') {
+      return reply(`It looks like you're asking a similar question to one you've already asked. This can lead to increased hallucination. Please refer to the ${tenant.displayName} documentation links given in the original answer or rephrase your question to be more specific. If you have additional questions, consider joining our Discord community from the link below for further assistance.`, { outcome: 'duplicate_refused', cacheHit });
     }
+
+    // Keep the served answer in the history so follow-up questions have context
+    await getSessionHistory(historyId).addMessages([
+      new HumanMessage(userQuestion),
+      new AIMessage(match.entry.answer)
+    ]);
+    return reply(match.entry.answer, {
+      outcome: 'cache_hit',
+      sources: match.entry.sources || [],
+      model: match.entry.model,
+      cacheHit
+    });
   }
 
-  // Retrieve documents related to the question
-  const retrievedDocs = await retriever.invoke(userQuestion);
+  signal?.throwIfAborted();
 
-  // Calculate similarity scores
-  const confidenceScores = await Promise.all(
-    retrievedDocs.map(doc => getConfidenceScore(userQuestion, doc.pageContent))
-  );
+  // Retrieve documents related to the question; the retriever scores each document
+  const retrievedDocs = await retriever.invoke(standaloneQuestion);
+  const confidenceScores = retrievedDocs.map(doc => doc.metadata.score ?? 0);
+  const retrievalMode = retriever.mode || 'similarity';
 
   if (confidenceScores.length === 0) {
-    return "I'm sorry, the knowledge base appears to be empty. Please contact the administrator.";
+    return reply("I'm sorry, the knowledge base appears to be empty. Please contact the administrator.", { outcome: 'empty_kb', retrievalMode });
   }
 
-  // Define a confidence threshold
-  const confidenceThreshold = 0.7;
+  // Minimum similarity of the best document for the question to be answered
+  const confidenceThreshold = parseFloat(process.env.CONFIDENCE_THRESHOLD || '0.7');
+  const topScore = Math.max(...confidenceScores);
+  // Hybrid retrieval also accepts a document that keyword search matched on most of
+  // the question's rare terms, e.g. an exact API name the embeddings don't capture
+  const keywordThreshold = parseFloat(process.env.KEYWORD_CONFIDENCE_THRESHOLD || '0.6');
+  const keywordScores = retrievedDocs.map(doc => doc.metadata.keyword_score).filter(score => score !== undefined);
+  const topKeywordScore = keywordScores.length > 0 ? Math.max(...keywordScores) : null;
 
-  // Check if the highest similarity score meets the threshold
-  if (Math.max(...confidenceScores) < confidenceThreshold) {
-    return "I'm sorry, I cannot provide a confident answer based on the available information in our current RAG database. The specific terms you are using may not exist or not be documented. Please consider rephrasing your question or joining our Discord for additional assistance.";
+  // Check if the highest similarity (or keyword) score meets the threshold
+  if (topScore < confidenceThreshold && !(topKeywordScore >= keywordThreshold)) {
+    // Keep the question and the pages that came closest for the knowledge gap report
+    await recordKnowledgeGap({
+      tenant: tenant.id,
+      sessionId,
+      question: userQuestion,
+      embedding: questionEmbedding,
+      topScore,
+      nearest: buildSources(retrievedDocs).slice(0, 3).map(({ url, title, score }) => ({ url, title, score })),
+      retrievalMode
+    });
+    return reply("I'm sorry, I cannot provide a confident answer based on the available information in our current RAG database. The specific terms you are using may not exist or not be documented. Please consider rephrasing your question or joining our Discord for additional assistance.", { outcome: 'low_confidence', topScore, topKeywordScore, retrievalMode });
   }
 
-  // Set up LLM and conversational chain
-  const conversationalRagChain = await setupLlmAndDb(retriever);
+  signal?.throwIfAborted();
 
-  // Function invocation with the user's question and configuration
-  const response = await conversationalRagChain.invoke(
-    { input: userQuestion },
-    { configurable: { sessionId } }
-  );
+  // Answer with the requested model, falling back to the secondary model if it
+  // errors or times out before anything has been streamed to the client
+  let chunksSent = false;
+  const trackedOnChunk = onChunk && ((text) => {
+    chunksSent = true;
+    onChunk(text);
+  });
+  const runOptions = { historyId, standaloneQuestion, promptVariant, tenant, signal, onChunk: trackedOnChunk, usageTracker };
+
+  let answeringModel = primaryModel;
+  let result;
+  try {
+    result = await runChain(primaryModel, retriever, userQuestion, runOptions);
+  } catch (error) {
+    const fallbackModel = getFallbackModel(primaryModel.key);
+    if (signal?.aborted || chunksSent || !fallbackModel) {
+      throw error;
+    }
+    console.error(`Model ${primaryModel.key} failed, falling back to ${fallbackModel.key}: ${error}`);
+    answeringModel = fallbackModel;
+    result = await runChain(fallbackModel, retriever, userQuestion, runOptions);
+  }
+
+  const sources = buildSources(result.context);
+  if (useCache) {
+    await rememberAnswer({
+      tenant: tenant.id,
+      sessionId,
+      question: userQuestion,
+      embedding: questionEmbedding,
+      answer: result.answer,
+      sources,
+      model: answeringModel.model,
+      modelKey: primaryModel.key,
+      promptVersion: promptVariant.version
+    });
+  }
+
+  return {
+    answer: result.answer,
+    outcome: 'answered',
+    sources,
+    topScore,
+    topKeywordScore,
+    retrievalMode,
+    model: answeringModel.model,
+    modelKey: answeringModel.key,
+    fallbackUsed: answeringModel !== primaryModel,
+    usage: usageTracker.usage,
+    cacheHit: null,
+    guard: null,
+    promptVersion: promptVariant.version
+  };
+}
+
+function isLlmReady(tenantId = getDefaultTenant().id) {
+  return chains.readyTenants.has(tenantId);
+}
+
+// Health check for the default model: throws while any tenant's chains aren't built.
+// With HEALTH_CHECK_LLM=true the provider is also sent a short prompt, at most once
+// per LLM_PROBE_TTL_MS, so readiness probes don't each cost a completion.
+async function checkLlmHealth() {
+  const modelEntry = getDefaultModel();
+  const notReady = listTenants().filter(tenant => !chains.readyTenants.has(tenant.id));
+  if (notReady.length > 0) {
+    throw new Error(`LLM chains are not initialized for tenants ${notReady.map(tenant => tenant.id).join(', ')}`);
+  }
+  if (process.env.HEALTH_CHECK_LLM !== 'true') {
+    return { model: modelEntry.model };
+  }
 
-  // Extracting the answer from the response
-  return response.answer;
+  if (!lastProbe || Date.now() - lastProbe.at > LLM_PROBE_TTL_MS) {
+    const pending = createChatModel(modelEntry).invoke('Reply with OK.');
+    lastProbe = { at: Date.now(), pending };
+    // A failed probe is retried on the next check instead of being cached
+    pending.catch(() => {
+      if (lastProbe?.pending === pending) {
+        lastProbe = null;
+      }
+    });
+  }
+  const probe = lastProbe;
+  await probe.pending;
+  return { model: modelEntry.model, probed_at: new Date(probe.at).toISOString() };
 }
 
-// Make the model available for retrieval
-function getCurrentModel() {
-  return currentModel;
+// Make the default model available for retrieval
+function getCurrentModel(tenant = getDefaultTenant()) {
+  return getTenantModel(tenant).model;
 }
 
-export { getResponse, getCurrentModel };
\ No newline at end of file
+export { getResponse, getCurrentModel, initLlm, reloadLlm, isLlmReady, checkLlmHealth };
\ No newline at end of file
@@ -0,0 +1,47 @@
+// lru_cache.js
+
+// Bounded cache that evicts the least recently used entry once full.
+// Relies on Map preserving insertion order: re-inserting an entry on read
+// moves it to the end, so the first key is always the least recently used.
+export class LRUCache {
+  constructor(maxSize = 500) {
+    this.maxSize = maxSize;
+    this._entries = new Map();
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  has(key) {
+    return this._entries.has(key);
+  }
+
+  get(key) {
+    if (!this._entries.has(key)) {
+      return undefined;
+    }
+    const value = this._entries.get(key);
+    this._entries.delete(key);
+    this._entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this._entries.delete(key);
+    this._entries.set(key, value);
+
+    if (this._entries.size > this.maxSize) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+    return this;
+  }
+
+  delete(key) {
+    return this._entries.delete(key);
+  }
+
+  clear() {
+    this._entries.clear();
+  }
+}
@@ -0,0 +1,130 @@
+// model_registry.js
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { CHAT_PROVIDERS } from './providers.js';
+
+dotenv.config();
+
+// Values accepted by CHAT_MODEL before the registry existed
+const LEGACY_MODEL_CHOICES = {
+  ChatOpenAI: 'openai',
+  ChatAnthropic: 'anthropic'
+};
+
+let registry = null;
+
+function validateRegistry(config, registryPath) {
+  if (!config.models || typeof config.models !== 'object' || Object.keys(config.models).length === 0) {
+    throw new Error(`Model registry ${registryPath} must define at least one model`);
+  }
+
+  for (const [key, entry] of Object.entries(config.models)) {
+    if (!CHAT_PROVIDERS.includes(entry.provider)) {
+      throw new Error(`Model "${key}" has unknown provider "${entry.provider}"`);
+    }
+    if (!entry.model) {
+      throw new Error(`Model "${key}" is missing a model id`);
+    }
+    if (entry.provider === 'openai-compatible' && !entry.baseUrl) {
+      throw new Error(`Model "${key}" uses an OpenAI-compatible provider but has no baseUrl`);
+    }
+  }
+
+  for (const field of ['default', 'fallback']) {
+    if (config[field] && !config.models[config[field]]) {
+      throw new Error(`Model registry ${field} "${config[field]}" is not a registered model`);
+    }
+  }
+}
+
+// Load (or reload) the registry from MODEL_REGISTRY_PATH, defaulting to ./models.json
+export function loadModelRegistry() {
+  const registryPath = path.resolve(process.env.MODEL_REGISTRY_PATH || './models.json');
+  const config = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  validateRegistry(config, registryPath);
+
+  const models = {};
+  for (const [key, entry] of Object.entries(config.models)) {
+    models[key] = {
+      key,
+      provider: entry.provider,
+      model: entry.model,
+      temperature: entry.temperature ?? 0,
+      maxTokens: entry.maxTokens ?? null,
+      displayName: entry.displayName || entry.model,
+      selectable: entry.selectable !== false,
+      timeoutMs: entry.timeoutMs ?? config.timeoutMs ?? null,
+      // Provider-specific settings (see providers.js)
+      baseUrl: entry.baseUrl || null,
+      apiKeyEnv: entry.apiKeyEnv || null,
+      answer: entry.answer || null
+    };
+  }
+
+  registry = {
+    models,
+    defaultKey: resolveDefaultKey(config, models),
+    fallbackKey: config.fallback || null
+  };
+  return registry;
+}
+
+// CHAT_MODEL may name a registry key, or a legacy provider choice
+function resolveDefaultKey(config, models) {
+  const choice = process.env.CHAT_MODEL;
+
+  if (choice && models[choice]) {
+    return choice;
+  }
+  if (choice && LEGACY_MODEL_CHOICES[choice]) {
+    const match = Object.values(models).find(entry => entry.provider === LEGACY_MODEL_CHOICES[choice]);
+    if (match) {
+      return match.key;
+    }
+  }
+  if (choice) {
+    console.error(`CHAT_MODEL "${choice}" is not in the model registry, using the default model`);
+  }
+  return config.default || Object.keys(models)[0];
+}
+
+export function getModelRegistry() {
+  return registry || loadModelRegistry();
+}
+
+export function getModel(key) {
+  return getModelRegistry().models[key] || null;
+}
+
+export function getDefaultModel() {
+  const { models, defaultKey } = getModelRegistry();
+  return models[defaultKey];
+}
+
+// The fallback for a model, or null when there is nothing else to try
+export function getFallbackModel(key) {
+  const { models, fallbackKey } = getModelRegistry();
+  if (!fallbackKey || fallbackKey === key) {
+    return null;
+  }
+  return models[fallbackKey];
+}
+
+// Whether a client may request this model key
+export function isSelectableModel(key) {
+  const entry = getModel(key);
+  return Boolean(entry && entry.selectable);
+}
+
+// Public listing for clients choosing a model
+export function listSelectableModels() {
+  const { models, defaultKey } = getModelRegistry();
+  return Object.values(models)
+    .filter(entry => entry.selectable)
+    .map(entry => ({
+      key: entry.key,
+      displayName: entry.displayName,
+      default: entry.key === defaultKey
+    }));
+}
@@ -0,0 +1,165 @@
+// notifier.js - Send interactions and feedback to Slack, webhooks or files
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+import { REFUSAL_OUTCOMES } from './analytics.js';
+
+dotenv.config();
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Events a sink can be restricted to with `only`
+const EVENT_FILTERS = {
+  refusals: event => event.type === 'interaction' && REFUSAL_OUTCOMES.includes(event.outcome),
+  negative_feedback: event => event.type === 'feedback' && event.rating === 'down',
+  errors: event => event.type === 'interaction' && event.outcome === 'error',
+  blocked: event => event.type === 'interaction' && event.outcome === 'blocked'
+};
+
+function formatText(event) {
+  if (event.type === 'feedback') {
+    const reason = event.reason ? ` (${event.reason})` : '';
+    const comment = event.comment ? `\nComment: ${event.comment}` : '';
+    return `Feedback: ${event.rating}${reason}\nUser session ID: ${event.sessionId}\nQuestion: ${event.question || ''}\nAnswer: ${event.answer || ''}${comment}`;
+  }
+  const outcome = event.guardReason ? `${event.outcome} (${event.guardReason})` : event.outcome;
+  const error = event.error ? `\nError: ${event.error}` : '';
+  return `User session ID: ${event.sessionId}\nTime: ${event.timestamp}\nModel: ${event.model}\nOutcome: ${outcome}\nQuestion: ${event.question}\nAnswer: ${event.answer}${error}`;
+}
+
+async function post(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+    signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Request returned an error ${response.status}, the response is: ${await response.text()}`);
+  }
+}
+
+// Each factory receives the sink's config and returns `send(event)`. Secrets and
+// URLs can be given directly or named with `urlEnv` / `secretEnv`.
+const sinkFactories = {
+  slack: (config) => {
+    const url = config.url || process.env[config.urlEnv || 'SLACK_HOOK'];
+    if (!url) {
+      throw new Error('Slack sink has no webhook URL');
+    }
+    return event => post(url, JSON.stringify({ text: formatText(event) }));
+  },
+
+  // Receivers verify `X-Signature` as the HMAC-SHA256 of `<X-Timestamp>.<body>`
+  webhook: (config) => {
+    const url = config.url || process.env[config.urlEnv];
+    const secret = config.secret || process.env[config.secretEnv];
+    if (!url) {
+      throw new Error('Webhook sink has no URL');
+    }
+    return (event) => {
+      const body = JSON.stringify(event);
+      const headers = {};
+      if (secret) {
+        const timestamp = String(Date.now());
+        const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        headers['X-Timestamp'] = timestamp;
+        headers['X-Signature'] = `sha256=${signature}`;
+      }
+      return post(url, body, headers);
+    };
+  },
+
+  // One JSON event per line
+  file: (config) => {
+    const filePath = path.resolve(config.path || './logs/notifications.jsonl');
+    return async (event) => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${JSON.stringify(event)}\n`);
+    };
+  }
+};
+
+export function registerNotifierSink(type, factory) {
+  sinkFactories[type] = factory;
+}
+
+let sinks = [];
+
+function createSink(config, index) {
+  const factory = sinkFactories[config.type];
+  if (!factory) {
+    throw new Error(`Notifier ${index} has unknown type "${config.type}"`);
+  }
+  const only = config.only ? [].concat(config.only) : [];
+  for (const name of only) {
+    if (!EVENT_FILTERS[name]) {
+      throw new Error(`Notifier ${index} has unknown filter "${name}". Expected one of: ${Object.keys(EVENT_FILTERS).join(', ')}`);
+    }
+  }
+
+  return {
+    name: config.name || config.type,
+    send: factory(config),
+    only,
+    sampleRate: config.sampleRate ?? 1,
+    retries: config.retries ?? 3,
+    retryDelayMs: config.retryDelayMs ?? 1000
+  };
+}
+
+// Load (or reload) sinks from NOTIFIERS_PATH, defaulting to ./notifiers.json. Without
+// that file, LOG_TO_SLACK=true and SLACK_HOOK still send everything to Slack.
+export function loadNotifiers() {
+  const configPath = path.resolve(process.env.NOTIFIERS_PATH || './notifiers.json');
+  let configs = [];
+
+  if (fs.existsSync(configPath)) {
+    configs = JSON.parse(fs.readFileSync(configPath, 'utf8')).sinks || [];
+  } else if (process.env.LOG_TO_SLACK === 'true' && process.env.SLACK_HOOK) {
+    configs = [{ type: 'slack' }];
+  }
+
+  sinks = configs.map(createSink);
+  console.log(`Notifications enabled for: ${sinks.map(sink => sink.name).join(', ') || 'none'}`);
+  return sinks.length;
+}
+
+function matches(sink, event) {
+  if (sink.only.length > 0 && !sink.only.some(name => EVENT_FILTERS[name](event))) {
+    return false;
+  }
+  return sink.sampleRate >= 1 || Math.random() < sink.sampleRate;
+}
+
+// Try a delivery, backing off exponentially between attempts
+async function deliver(sink, event) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await sink.send(event);
+      return;
+    } catch (error) {
+      if (attempt >= sink.retries) {
+        console.error(`Notification to ${sink.name} failed after ${attempt + 1} attempts:`, error.message);
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, sink.retryDelayMs * 2 ** attempt));
+    }
+  }
+}
+
+// Queue an event for every sink whose filters accept it. Returns immediately;
+// delivery happens in the background.
+//
+// Interactions: `{ type: 'interaction', sessionId, messageId, question, answer, model, outcome, guardReason, error }`
+// Feedback: `{ type: 'feedback', sessionId, messageId, rating, reason, comment, question, answer }`
+export function notify(event) {
+  const stamped = { ...event, timestamp: new Date().toISOString() };
+  for (const sink of sinks) {
+    if (matches(sink, stamped)) {
+      deliver(sink, stamped);
+    }
+  }
+}
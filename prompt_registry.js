@@ -0,0 +1,115 @@
+// prompt_registry.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { PromptTemplate } from '@langchain/core/prompts';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Placeholders each template must use, and the only ones it may use.
+// Literal braces in a template are written as {{ and }}.
+const TEMPLATE_VARIABLES = {
+  answer: { required: ['context'], allowed: ['context'] },
+  rephrase: { required: [], allowed: [] }
+};
+
+// Loaded registries by file path; each tenant can have its own
+const registries = new Map();
+
+const defaultRegistryPath = () => path.resolve(process.env.PROMPTS_PATH || './prompts/prompts.json');
+
+function loadTemplate(version, kind, file, registryDir) {
+  if (!file) {
+    throw new Error(`Prompt variant "${version}" is missing its ${kind} template`);
+  }
+  const templatePath = path.resolve(registryDir, file);
+  const text = fs.readFileSync(templatePath, 'utf8').trim();
+
+  let variables;
+  try {
+    variables = PromptTemplate.fromTemplate(text).inputVariables;
+  } catch (error) {
+    throw new Error(`Prompt template ${templatePath} could not be parsed: ${error.message}`);
+  }
+
+  const { required, allowed } = TEMPLATE_VARIABLES[kind];
+  const missing = required.filter(name => !variables.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`Prompt template ${templatePath} is missing ${missing.map(name => `{${name}}`).join(', ')}`);
+  }
+  const unknown = variables.filter(name => !allowed.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Prompt template ${templatePath} uses unknown placeholders ${unknown.map(name => `{${name}}`).join(', ')}`);
+  }
+
+  return text;
+}
+
+// Load (or reload) prompt variants from `registryPath`, defaulting to PROMPTS_PATH or
+// ./prompts/prompts.json. Template file names are relative to that file.
+export function loadPromptRegistry(registryPath = defaultRegistryPath()) {
+  registryPath = path.resolve(registryPath);
+  const config = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  const registryDir = path.dirname(registryPath);
+
+  if (!config.variants || typeof config.variants !== 'object' || Object.keys(config.variants).length === 0) {
+    throw new Error(`Prompt registry ${registryPath} must define at least one variant`);
+  }
+
+  const variants = {};
+  for (const [version, entry] of Object.entries(config.variants)) {
+    const weight = entry.weight ?? 1;
+    if (typeof weight !== 'number' || weight < 0) {
+      throw new Error(`Prompt variant "${version}" has an invalid weight`);
+    }
+    variants[version] = {
+      version,
+      weight,
+      answer: loadTemplate(version, 'answer', entry.answer, registryDir),
+      rephrase: loadTemplate(version, 'rephrase', entry.rephrase, registryDir)
+    };
+  }
+
+  const forced = process.env.PROMPT_VARIANT;
+  if (forced && !variants[forced]) {
+    throw new Error(`PROMPT_VARIANT "${forced}" is not in the prompt registry`);
+  }
+  if (!forced && Object.values(variants).every(variant => variant.weight === 0)) {
+    throw new Error(`Prompt registry ${registryPath} needs at least one variant with a weight above 0`);
+  }
+
+  const registry = { variants, forced: forced || null };
+  registries.set(registryPath, registry);
+  return registry;
+}
+
+export function getPromptRegistry(registryPath = defaultRegistryPath()) {
+  return registries.get(path.resolve(registryPath)) || loadPromptRegistry(registryPath);
+}
+
+// Pick a session's prompt variant by weight. The same session always gets the same
+// variant, as long as the variants and weights don't change. PROMPT_VARIANT forces one.
+// `registryPath` picks a tenant's registry instead of the default one.
+export function assignPromptVariant(sessionId, registryPath) {
+  const { variants, forced } = getPromptRegistry(registryPath);
+  if (forced) {
+    return variants[forced];
+  }
+
+  // Sorted so the assignment doesn't depend on the order of the JSON keys
+  const candidates = Object.values(variants)
+    .filter(variant => variant.weight > 0)
+    .sort((a, b) => a.version.localeCompare(b.version));
+  const totalWeight = candidates.reduce((total, variant) => total + variant.weight, 0);
+
+  const hash = crypto.createHash('sha256').update(String(sessionId)).digest();
+  let point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+  for (const variant of candidates) {
+    if (point < variant.weight) {
+      return variant;
+    }
+    point -= variant.weight;
+  }
+  return candidates[candidates.length - 1];
+}
@@ -0,0 +1,138 @@
+// providers.js
+import crypto from 'crypto';
+import { ChatOpenAI, OpenAIEmbeddings } from '@langchain/openai';
+import { ChatAnthropic } from '@langchain/anthropic';
+import { Embeddings } from '@langchain/core/embeddings';
+import { SimpleChatModel } from '@langchain/core/language_models/chat_models';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const CHAT_PROVIDERS = ['openai', 'openai-compatible', 'anthropic', 'fake'];
+export const EMBEDDING_PROVIDERS = ['openai', 'openai-compatible', 'fake'];
+
+const DEFAULT_FAKE_ANSWER = 'This is a canned answer from the fake provider.';
+
+// Deterministic embeddings for offline use: each word is hashed into a fixed-size
+// vector, so texts sharing words are similar and the same text always embeds the same
+export class HashEmbeddings extends Embeddings {
+  constructor(fields = {}) {
+    super(fields);
+    this.dimensions = fields.dimensions || 256;
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}_.$-]+/gu) || [];
+
+    for (const word of words) {
+      const hash = crypto.createHash('sha256').update(word).digest();
+      const index = hash.readUInt32BE(0) % this.dimensions;
+      vector[index] += hash[4] % 2 === 0 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((total, value) => total + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  async embedDocuments(documents) {
+    return documents.map(document => this.embedText(document));
+  }
+
+  async embedQuery(document) {
+    return this.embedText(document);
+  }
+}
+
+// Canned chat model for offline use. It returns the question unchanged when asked
+// to rephrase it, and otherwise a fixed answer listing the context URLs it was given.
+export class FakeChatModel extends SimpleChatModel {
+  constructor(fields = {}) {
+    super(fields);
+    this.answer = fields.answer || DEFAULT_FAKE_ANSWER;
+  }
+
+  _llmType() {
+    return 'fake';
+  }
+
+  async _call(messages) {
+    const system = messages.find(message => message._getType() === 'system');
+    const question = [...messages].reverse().find(message => message._getType() === 'human');
+    const systemText = system ? String(system.content) : '';
+
+    if (systemText.includes('standalone question')) {
+      return question ? String(question.content) : '';
+    }
+
+    const urls = [...new Set(systemText.match(/^URL: \S+/gm) || [])]
+      .map(line => line.replace('URL: ', ''));
+    if (urls.length === 0) {
+      return this.answer;
+    }
+    return `${this.answer}\n\n${urls.map(url => `- ${url}`).join('\n')}`;
+  }
+}
+
+// Build the chat model for a registry entry
+export function createChatModel(modelEntry) {
+  const modelOptions = {
+    temperature: modelEntry.temperature,
+    modelName: modelEntry.model,
+    ...(modelEntry.maxTokens ? { maxTokens: modelEntry.maxTokens } : {})
+  };
+
+  switch (modelEntry.provider) {
+    case 'openai':
+      return new ChatOpenAI({
+        ...modelOptions,
+        ...openAiConfiguration(modelEntry.baseUrl || process.env.OPENAI_BASE_URL)
+      });
+    case 'openai-compatible':
+      // Self-hosted servers usually ignore the key, but the client insists on one
+      return new ChatOpenAI({
+        ...modelOptions,
+        openAIApiKey: (modelEntry.apiKeyEnv && process.env[modelEntry.apiKeyEnv]) || 'not-needed',
+        ...openAiConfiguration(modelEntry.baseUrl)
+      });
+    case 'anthropic':
+      return new ChatAnthropic(modelOptions);
+    case 'fake':
+      return new FakeChatModel({ answer: modelEntry.answer });
+    default:
+      throw new Error(`Unknown chat provider "${modelEntry.provider}"`);
+  }
+}
+
+// Build the embeddings model from EMBEDDINGS_PROVIDER, EMBEDDINGS_MODEL and EMBEDDINGS_BASE_URL
+export function createEmbeddings() {
+  const provider = process.env.EMBEDDINGS_PROVIDER || 'openai';
+  const model = process.env.EMBEDDINGS_MODEL || 'text-embedding-3-small';
+  const baseUrl = process.env.EMBEDDINGS_BASE_URL || process.env.OPENAI_BASE_URL;
+
+  switch (provider) {
+    case 'openai':
+      return new OpenAIEmbeddings({
+        model,
+        disallowedSpecial: [], // equivalent to disallowed_special=()
+        ...openAiConfiguration(baseUrl)
+      });
+    case 'openai-compatible':
+      return new OpenAIEmbeddings({
+        model,
+        disallowedSpecial: [],
+        openAIApiKey: process.env.EMBEDDINGS_API_KEY || 'not-needed',
+        ...openAiConfiguration(baseUrl)
+      });
+    case 'fake':
+      return new HashEmbeddings({
+        dimensions: parseInt(process.env.EMBEDDINGS_DIMENSIONS || '256', 10)
+      });
+    default:
+      throw new Error(`Unknown embeddings provider "${provider}"`);
+  }
+}
+
+function openAiConfiguration(baseUrl) {
+  return baseUrl ? { configuration: { baseURL: baseUrl } } : {};
+}
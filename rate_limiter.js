@@ -0,0 +1,169 @@
+// rate_limiter.js - Per-IP and per-session limits on chat queries
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Limits per window; 0 disables a limit
+export function getRateLimitConfig() {
+  return {
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10),
+    perIp: parseInt(process.env.RATE_LIMIT_PER_IP || '20', 10),
+    perSession: parseInt(process.env.RATE_LIMIT_PER_SESSION || '10', 10),
+    dailyPerIp: parseInt(process.env.RATE_LIMIT_DAILY_PER_IP || '500', 10),
+    dailyPerSession: parseInt(process.env.RATE_LIMIT_DAILY_PER_SESSION || '200', 10)
+  };
+}
+
+// Stores count hits per key until `resetAt`. A store only needs
+// `increment(key, resetAt)`, resolving to the count including this hit.
+export class MemoryRateLimitStore {
+  constructor() {
+    this._counters = new Map();
+    this._nextSweep = 0;
+  }
+
+  async increment(key, resetAt) {
+    const now = Date.now();
+    this._sweep(now);
+
+    const counter = this._counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      this._counters.set(key, { count: 1, resetAt });
+      return 1;
+    }
+    counter.count++;
+    return counter.count;
+  }
+
+  // Drop expired counters at most once a minute so the map can't grow forever
+  _sweep(now) {
+    if (now < this._nextSweep) {
+      return;
+    }
+    for (const [key, counter] of this._counters) {
+      if (counter.resetAt <= now) {
+        this._counters.delete(key);
+      }
+    }
+    this._nextSweep = now + 60 * 1000;
+  }
+}
+
+// Shares counters between server instances; expired counters are removed by MongoDB
+export class MongoRateLimitStore {
+  constructor(collection) {
+    this.collection = collection;
+  }
+
+  async init() {
+    await this.collection.createIndex({ resetAt: 1 }, { expireAfterSeconds: 0 });
+  }
+
+  async increment(key, resetAt) {
+    const counter = await this.collection.findOneAndUpdate(
+      { _id: key },
+      { $inc: { count: 1 }, $setOnInsert: { resetAt: new Date(resetAt) } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return counter.count;
+  }
+}
+
+const storeFactories = {
+  memory: () => new MemoryRateLimitStore(),
+  mongo: (db) => new MongoRateLimitStore(db.collection('rate_limits'))
+};
+
+export function registerRateLimitStore(name, factory) {
+  storeFactories[name] = factory;
+}
+
+// Fallback store used until (or unless) RATE_LIMIT_STORE is set up
+const memoryStore = new MemoryRateLimitStore();
+let store = memoryStore;
+
+// Attach the store named by RATE_LIMIT_STORE (default memory). Factories receive
+// the conversation database; without one only the memory store is available.
+export async function initRateLimitStore(db) {
+  const name = process.env.RATE_LIMIT_STORE || 'memory';
+  const factory = storeFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown RATE_LIMIT_STORE: ${name}. Expected one of: ${Object.keys(storeFactories).join(', ')}`);
+  }
+  if (name === 'memory' || !db) {
+    store = memoryStore;
+    return;
+  }
+
+  const candidate = factory(db);
+  await candidate.init?.();
+  store = candidate;
+}
+
+// Fixed windows aligned to the epoch, so daily quotas reset at midnight UTC
+function windowFor(windowMs, now) {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { start, resetAt: start + windowMs };
+}
+
+// Count one query against every configured limit for this IP and session.
+// Resolves to null when allowed, otherwise to
+// `{ scope, limit, windowMs, retryAfter }` with `retryAfter` in seconds.
+// A failing store lets the query through rather than locking everyone out.
+export async function checkRateLimit({ ip, sessionId }) {
+  const config = getRateLimitConfig();
+  const now = Date.now();
+  const rules = [
+    { scope: 'ip', id: ip, limit: config.perIp, windowMs: config.windowMs },
+    { scope: 'session', id: sessionId, limit: config.perSession, windowMs: config.windowMs },
+    { scope: 'daily_ip', id: ip, limit: config.dailyPerIp, windowMs: DAY_MS },
+    { scope: 'daily_session', id: sessionId, limit: config.dailyPerSession, windowMs: DAY_MS }
+  ].filter(rule => rule.id && rule.limit > 0 && rule.windowMs > 0);
+
+  let exceeded = null;
+  try {
+    for (const rule of rules) {
+      const { start, resetAt } = windowFor(rule.windowMs, now);
+      const count = await store.increment(`${rule.scope}:${rule.id}:${start}`, resetAt);
+      if (count > rule.limit) {
+        const retryAfter = Math.ceil((resetAt - now) / 1000);
+        // Report the limit that keeps the client waiting longest
+        if (!exceeded || retryAfter > exceeded.retryAfter) {
+          exceeded = { scope: rule.scope, limit: rule.limit, windowMs: rule.windowMs, retryAfter };
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error checking rate limit:', error);
+    return null;
+  }
+
+  return exceeded;
+}
+
+// Number of reverse proxies in front of the server whose X-Forwarded-For entries
+// can be trusted: TRUST_PROXY=true means one, a number means that many
+function trustedProxyHops() {
+  const setting = process.env.TRUST_PROXY;
+  if (setting === 'true') {
+    return 1;
+  }
+  const hops = parseInt(setting || '0', 10);
+  return hops > 0 ? hops : 0;
+}
+
+// Client address, honouring X-Forwarded-For only when TRUST_PROXY is set. Each
+// proxy appends the address it received the request from, so the client address
+// is counted from the right; entries further left are whatever the client sent.
+export function getClientIp(address, headers = {}) {
+  const hops = trustedProxyHops();
+  const forwarded = headers['x-forwarded-for'];
+  if (hops === 0 || !forwarded) {
+    return address;
+  }
+  const chain = forwarded.split(',').map(entry => entry.trim()).filter(Boolean);
+  // With fewer entries than trusted proxies, the leftmost one came from a trusted proxy
+  return chain[Math.max(chain.length - hops, 0)] || address;
+}
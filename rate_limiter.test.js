@@ -0,0 +1,62 @@
+// rate_limiter.test.js - Run with `npm test`
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getClientIp, checkRateLimit } from './rate_limiter.js';
+
+function withTrustProxy(value, fn) {
+  const previous = process.env.TRUST_PROXY;
+  process.env.TRUST_PROXY = value;
+  try {
+    return fn();
+  } finally {
+    if (previous === undefined) {
+      delete process.env.TRUST_PROXY;
+    } else {
+      process.env.TRUST_PROXY = previous;
+    }
+  }
+}
+
+test('ignores X-Forwarded-For unless TRUST_PROXY is set', () => {
+  withTrustProxy('', () => {
+    assert.equal(getClientIp('10.0.0.1', { 'x-forwarded-for': '1.2.3.4' }), '10.0.0.1');
+  });
+});
+
+test('takes the address the trusted proxy appended, not a spoofed one', () => {
+  withTrustProxy('true', () => {
+    const headers = { 'x-forwarded-for': '6.6.6.6, 203.0.113.7' };
+    assert.equal(getClientIp('10.0.0.1', headers), '203.0.113.7');
+  });
+});
+
+test('counts TRUST_PROXY hops from the right', () => {
+  withTrustProxy('2', () => {
+    const headers = { 'x-forwarded-for': '6.6.6.6, 203.0.113.7, 10.0.0.2' };
+    assert.equal(getClientIp('10.0.0.1', headers), '203.0.113.7');
+    assert.equal(getClientIp('10.0.0.1', { 'x-forwarded-for': '203.0.113.7' }), '203.0.113.7');
+  });
+});
+
+test('spoofed X-Forwarded-For values share the per-IP limit', async () => {
+  const previous = process.env.RATE_LIMIT_PER_IP;
+  process.env.RATE_LIMIT_PER_IP = '2';
+  try {
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      const ip = withTrustProxy('true', () => getClientIp('10.0.0.1', {
+        'x-forwarded-for': `198.51.100.${i}, 203.0.113.99`
+      }));
+      results.push(await checkRateLimit({ ip, sessionId: `spoof-session-${i}` }));
+    }
+    assert.equal(results[0], null);
+    assert.equal(results[1], null);
+    assert.equal(results[2]?.scope, 'ip');
+  } finally {
+    if (previous === undefined) {
+      delete process.env.RATE_LIMIT_PER_IP;
+    } else {
+      process.env.RATE_LIMIT_PER_IP = previous;
+    }
+  }
+});
@@ -0,0 +1,109 @@
+// redaction.js - Mask secrets and personal data in user text
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Unquoted values that are code rather than a secret: `process.env.KEY`,
+// `config.apiKey`, `getToken()` or an identifier without digits such as `apiKey`
+const CODE_VALUE = /^(?:[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+|[A-Za-z_$]+|[A-Za-z_$][\w$.]*\(.*)[)\]}]*$/;
+
+// Applied in order, so credentials in URIs are masked before the email rule
+// could mistake `user:password@host` for an address. A rule's `ignore(...match)`
+// can leave a match alone.
+const rules = {
+  api_key: {
+    pattern: /\b(?:sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abposr]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})\b/g,
+    replacement: '[REDACTED_API_KEY]'
+  },
+  credential_uri: {
+    pattern: /\b([a-z][a-z0-9+.-]*:\/\/)[^\s:@/]+:[^\s@/]+@/gi,
+    replacement: '$1[REDACTED_CREDENTIALS]@'
+  },
+  // `password: hunter22`, `apiKey = "..."` and similar, keeping the name
+  // and skipping values an earlier rule already masked. Code in questions about
+  // configuration, like `apiKey: process.env.KEY`, is left as is.
+  secret_assignment: {
+    pattern: /\b((?:api[_-]?key|secret|token|password|passwd|pwd)["']?\s*[:=]\s*)(["']?)(?!\[REDACTED)([^\s"',;]{6,})\2/gi,
+    replacement: '$1$2[REDACTED_SECRET]$2',
+    ignore: (match, name, quote, value) => !quote && CODE_VALUE.test(value)
+  },
+  email: {
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+    replacement: '[REDACTED_EMAIL]'
+  },
+  ip: {
+    pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g,
+    replacement: '[REDACTED_IP]'
+  }
+};
+
+export function registerRedactionRule(name, { pattern, replacement, ignore }) {
+  rules[name] = {
+    pattern: pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`),
+    replacement: replacement || `[REDACTED_${name.toUpperCase()}]`,
+    ignore
+  };
+}
+
+// Extra rules from REDACTION_RULES_PATH: `[{ name, pattern, flags, replacement }]`
+function loadCustomRules() {
+  if (!process.env.REDACTION_RULES_PATH) {
+    return;
+  }
+  const rulesPath = path.resolve(process.env.REDACTION_RULES_PATH);
+  for (const rule of JSON.parse(fs.readFileSync(rulesPath, 'utf8'))) {
+    if (!rule.name || !rule.pattern) {
+      throw new Error(`Redaction rules in ${rulesPath} need a name and a pattern`);
+    }
+    registerRedactionRule(rule.name, {
+      pattern: new RegExp(rule.pattern, rule.flags || ''),
+      replacement: rule.replacement
+    });
+  }
+}
+
+loadCustomRules();
+
+// REDACTION_RULES picks the rules to apply (default all of them), `none` turns redaction off
+function getEnabledRules() {
+  const setting = process.env.REDACTION_RULES;
+  if (setting === 'none') {
+    return [];
+  }
+  if (!setting) {
+    return Object.keys(rules);
+  }
+  return setting.split(',').map(name => name.trim()).filter(name => {
+    if (!rules[name]) {
+      console.error(`Unknown redaction rule "${name}", ignoring it`);
+      return false;
+    }
+    return true;
+  });
+}
+
+// Mask everything the enabled rules match. Returns the masked text and how
+// many matches each rule replaced, e.g. `{ text, counts: { email: 1 } }`.
+export function redact(text) {
+  const counts = {};
+  if (typeof text !== 'string' || text.length === 0) {
+    return { text, counts };
+  }
+
+  let redacted = text;
+  for (const name of getEnabledRules()) {
+    const { pattern, replacement, ignore } = rules[name];
+    redacted = redacted.replace(pattern, (...match) => {
+      if (ignore?.(...match)) {
+        return match[0];
+      }
+      counts[name] = (counts[name] || 0) + 1;
+      // Expand $1-style references the same way String.replace would
+      return replacement.replace(/\$(\d)/g, (_, group) => match[Number(group)] ?? '');
+    });
+  }
+
+  return { text: redacted, counts };
+}
@@ -0,0 +1,100 @@
+// session_store.js - Locks that let each user session answer one question at a time,
+// shareable between server instances
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Locks left behind by an instance that died mid-answer are removed by MongoDB
+const TTL_SECONDS = parseInt(process.env.SESSION_STORE_TTL_SECONDS || '300', 10);
+
+// Stores lock `user_session_id`s rather than sockets, since a widget that reconnects
+// to another instance gets a new socket but keeps its session. A store needs
+// `acquire(sessionId)`, resolving to a lock token, or null while the session is
+// already answering, and `release(sessionId, token)`, which only frees the lock
+// the token belongs to.
+export class MemorySessionStore {
+  constructor() {
+    this._locks = new Map();
+  }
+
+  async acquire(sessionId) {
+    if (this._locks.has(sessionId)) {
+      return null;
+    }
+    const token = crypto.randomUUID();
+    this._locks.set(sessionId, token);
+    return token;
+  }
+
+  async release(sessionId, token) {
+    if (this._locks.get(sessionId) === token) {
+      this._locks.delete(sessionId);
+    }
+  }
+}
+
+export class MongoSessionStore {
+  constructor(collection) {
+    this.collection = collection;
+  }
+
+  async init() {
+    await this.collection.createIndex({ lockedAt: 1 }, { expireAfterSeconds: TTL_SECONDS });
+  }
+
+  async acquire(sessionId) {
+    const token = crypto.randomUUID();
+    try {
+      await this.collection.insertOne({ _id: sessionId, token, lockedAt: new Date() });
+      return token;
+    } catch (error) {
+      // DuplicateKey: another query (on any instance) holds the lock
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async release(sessionId, token) {
+    await this.collection.deleteOne({ _id: sessionId, token });
+  }
+}
+
+const storeFactories = {
+  memory: () => new MemorySessionStore(),
+  mongo: (db) => new MongoSessionStore(db.collection('session_locks'))
+};
+
+export function registerSessionStore(name, factory) {
+  storeFactories[name] = factory;
+}
+
+// Fallback store used until (or unless) SESSION_STORE is set up
+const memoryStore = new MemorySessionStore();
+let store = memoryStore;
+
+// Attach the store named by SESSION_STORE (default memory). Factories receive the
+// conversation database; without one only the memory store is available. Locks
+// are released through the store they were acquired from, so switching stores
+// doesn't strand them.
+export async function initSessionStore(db) {
+  const name = process.env.SESSION_STORE || 'memory';
+  const factory = storeFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown SESSION_STORE: ${name}. Expected one of: ${Object.keys(storeFactories).join(', ')}`);
+  }
+  if (name === 'memory' || !db) {
+    store = memoryStore;
+    return;
+  }
+
+  const candidate = factory(db);
+  await candidate.init?.();
+  store = candidate;
+}
+
+export function getSessionStore() {
+  return store;
+}
@@ -0,0 +1,81 @@
+// socket_adapter.js - Socket.IO adapter selection, so broadcasts reach clients on every instance
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Capped collection the mongo adapter passes events between instances through
+const MONGO_ADAPTER_COLLECTION = 'socket_io_events';
+const MONGO_ADAPTER_SIZE = 1e6;
+
+// Factories receive the conversation database and resolve to a Socket.IO adapter
+// (the value passed to `io.adapter()`), or null to keep the built-in in-memory one
+const adapterFactories = {
+  memory: async () => null,
+  // Needs `npm install @socket.io/mongo-adapter`; it isn't a dependency since
+  // single-instance deployments don't use it
+  mongo: async (db) => {
+    const { createAdapter } = await import('@socket.io/mongo-adapter');
+    try {
+      await db.createCollection(MONGO_ADAPTER_COLLECTION, { capped: true, size: MONGO_ADAPTER_SIZE });
+    } catch (error) {
+      // NamespaceExists: created by another instance or an earlier run
+      if (error.code !== 48) {
+        throw error;
+      }
+    }
+    return createAdapter(db.collection(MONGO_ADAPTER_COLLECTION));
+  }
+};
+
+// The in-memory adapter `io` was created with, put back while MongoDB is unavailable
+let builtInAdapter = null;
+
+export function registerSocketAdapter(name, factory) {
+  adapterFactories[name] = factory;
+}
+
+// Switch the default namespace (the only one the server uses) to another adapter.
+// The new adapter starts without rooms, so connected sockets' rooms are carried
+// over, and the old one is closed so it stops listening on a dropped client.
+function installAdapter(io, adapter) {
+  const namespace = io.of('/');
+  const previous = namespace.adapter;
+  const rooms = [...namespace.sockets.keys()].map(id => [id, previous.socketRooms(id)]);
+
+  io.adapter(adapter);
+  for (const [id, socketRooms] of rooms) {
+    if (socketRooms) {
+      namespace.adapter.addAll(id, socketRooms);
+    }
+  }
+  Promise.resolve(previous.close?.())
+    .catch(error => console.error(`Error closing the previous Socket.IO adapter: ${error}`));
+}
+
+// Install the adapter named by SOCKET_IO_ADAPTER (default memory) on `io`. Called
+// again on every MongoDB reconnection, so the adapter uses the current client;
+// without `db` the in-memory adapter is used.
+export async function initSocketAdapter(io, db) {
+  const name = process.env.SOCKET_IO_ADAPTER || 'memory';
+  const factory = adapterFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown SOCKET_IO_ADAPTER: ${name}. Expected one of: ${Object.keys(adapterFactories).join(', ')}`);
+  }
+  builtInAdapter = builtInAdapter || io.adapter();
+  if (name === 'memory') {
+    return;
+  }
+  if (!db) {
+    if (io.adapter() !== builtInAdapter) {
+      installAdapter(io, builtInAdapter);
+      console.error(`SOCKET_IO_ADAPTER ${name} needs MongoDB; using the in-memory adapter until it reconnects`);
+    }
+    return;
+  }
+
+  const adapter = await factory(db);
+  if (adapter) {
+    installAdapter(io, adapter);
+    console.log(`Socket.IO adapter: ${name}`);
+  }
+}
@@ -0,0 +1,159 @@
+// tenant_registry.js - Knowledge bases served by this server, each with its own
+// collection, prompts, default model and allowed origins
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { getModel } from './model_registry.js';
+import { loadPromptRegistry } from './prompt_registry.js';
+import { compileGuardSettings } from './query_guard.js';
+
+dotenv.config();
+
+const DEFAULT_TENANT_ID = 'default';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+let registry = null;
+
+// Compare secrets in constant time; hashing first makes the lengths equal
+export function safeEqual(a, b) {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest();
+  const digestB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+function createTenant(id, entry, registryDir) {
+  if (!TENANT_ID_PATTERN.test(id)) {
+    throw new Error(`Tenant id "${id}" may only contain letters, digits, "-" and "_"`);
+  }
+  if (entry.model && !getModel(entry.model)) {
+    throw new Error(`Tenant "${id}" uses model "${entry.model}", which is not in the model registry`);
+  }
+  if (entry.corsOrigins !== undefined && !Array.isArray(entry.corsOrigins)) {
+    throw new Error(`Tenant "${id}" corsOrigins must be a list of origins`);
+  }
+  if (entry.apiKeyEnv && !process.env[entry.apiKeyEnv]) {
+    throw new Error(`Tenant "${id}" reads its API key from ${entry.apiKeyEnv}, which is not set`);
+  }
+
+  const resolve = file => (file ? path.resolve(registryDir, file) : null);
+  const displayName = entry.displayName || 'ApostropheCMS';
+  let guard;
+  try {
+    guard = compileGuardSettings(entry.guard, { displayName });
+  } catch (error) {
+    throw new Error(`Tenant "${id}": ${error.message}`);
+  }
+
+  const tenant = {
+    id,
+    displayName,
+    collection: entry.collection || 'langchain',
+    defaultUrl: entry.defaultUrl || 'https://docs.apostrophecms.org/',
+    promptsPath: resolve(entry.prompts) || path.resolve(process.env.PROMPTS_PATH || './prompts/prompts.json'),
+    memoryDocsPath: resolve(entry.memoryDocs) || path.resolve(process.env.MEMORY_DOCS_PATH || './memory_docs.json'),
+    // Registry key of the tenant's default model; null uses the registry default
+    model: entry.model || null,
+    corsOrigins: entry.corsOrigins || ['*'],
+    apiKeyEnv: entry.apiKeyEnv || null,
+    // Question guard settings, see query_guard.js
+    guard
+  };
+  // Fail at load time rather than on the tenant's first question
+  loadPromptRegistry(tenant.promptsPath);
+  return tenant;
+}
+
+// Load (or reload) tenants from TENANTS_PATH, defaulting to ./tenants.json. Without
+// that file the server has a single "default" tenant: the "langchain" collection,
+// the ApostropheCMS docs and the prompts in PROMPTS_PATH.
+// Prompt and docs paths are relative to the tenants file.
+export function loadTenantRegistry() {
+  const registryPath = path.resolve(process.env.TENANTS_PATH || './tenants.json');
+
+  if (!fs.existsSync(registryPath)) {
+    const tenant = createTenant(DEFAULT_TENANT_ID, { defaultUrl: process.env.DOCS_BASE_URL }, process.cwd());
+    registry = { tenants: { [DEFAULT_TENANT_ID]: tenant }, defaultId: DEFAULT_TENANT_ID };
+    return registry;
+  }
+
+  const config = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  if (!config.tenants || typeof config.tenants !== 'object' || Object.keys(config.tenants).length === 0) {
+    throw new Error(`Tenant registry ${registryPath} must define at least one tenant`);
+  }
+  if (config.default && !config.tenants[config.default]) {
+    throw new Error(`Tenant registry default "${config.default}" is not a registered tenant`);
+  }
+
+  const tenants = {};
+  for (const [id, entry] of Object.entries(config.tenants)) {
+    tenants[id] = createTenant(id, entry, path.dirname(registryPath));
+  }
+
+  registry = { tenants, defaultId: config.default || Object.keys(tenants)[0] };
+  return registry;
+}
+
+export function getTenantRegistry() {
+  return registry || loadTenantRegistry();
+}
+
+export function listTenants() {
+  return Object.values(getTenantRegistry().tenants);
+}
+
+export function getTenant(id) {
+  return getTenantRegistry().tenants[id] || null;
+}
+
+export function getDefaultTenant() {
+  const { tenants, defaultId } = getTenantRegistry();
+  return tenants[defaultId];
+}
+
+// Pick the tenant for a connection or request from the `tenant` id it asked for and
+// the API key it sent. A key selects its own tenant; tenants with a key can't be
+// selected without it. Returns `{ tenant }`, or `{ error, status }` with the HTTP
+// status to answer with.
+export function resolveTenant({ tenantId, apiKey } = {}) {
+  if (apiKey) {
+    const tenant = listTenants().find(candidate => candidate.apiKeyEnv
+      && safeEqual(apiKey, process.env[candidate.apiKeyEnv]));
+    if (!tenant) {
+      return { error: 'Invalid API key', status: 401 };
+    }
+    if (tenantId && tenantId !== tenant.id) {
+      return { error: `API key is not valid for tenant ${tenantId}`, status: 403 };
+    }
+    return { tenant };
+  }
+
+  const tenant = tenantId ? getTenant(String(tenantId)) : getDefaultTenant();
+  if (!tenant) {
+    return { error: `Unknown tenant: ${tenantId}`, status: 400 };
+  }
+  if (tenant.apiKeyEnv) {
+    return { error: `Tenant ${tenant.id} requires an API key`, status: 401 };
+  }
+  return { tenant };
+}
+
+// Whether a browser origin may use the tenant. Requests without an Origin header
+// come from servers, not browsers, and aren't subject to CORS.
+export function isOriginAllowed(tenant, origin) {
+  return !origin || tenant.corsOrigins.includes('*') || tenant.corsOrigins.includes(origin);
+}
+
+// Whether any tenant accepts the origin; CORS preflights are answered before the
+// tenant is known, and the tenant's own list is checked once it is
+export function isOriginAllowedByAnyTenant(origin) {
+  return listTenants().some(tenant => isOriginAllowed(tenant, origin));
+}
+
+// MongoDB filter for a tenant's documents. Documents stored before tenants existed
+// have no `tenant` field and belong to the default tenant.
+export function tenantFilter(tenantId) {
+  return tenantId === getTenantRegistry().defaultId
+    ? { tenant: { $in: [tenantId, null] } }
+    : { tenant: tenantId };
+}